@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * Handwriting SVG command-line tool
+ * Renders text with exported handwriting JSON without a browser.
+ *
+ * Usage: node bin/handwriting-svg.js --font handwriting.json [options] [text]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+// The shared scripts reference each other as browser globals
+const JS_DIR = path.join(__dirname, "..", "js");
+globalThis.SeededRandom = require(path.join(JS_DIR, "seeded-random.js"));
+globalThis.FontSchema = require(path.join(JS_DIR, "font-schema.js"));
+globalThis.FontData = require(path.join(JS_DIR, "font-data.js"));
+globalThis.StrokeProcessor = require(path.join(JS_DIR, "stroke-processor.js"));
+globalThis.SVGGenerator = require(path.join(JS_DIR, "svg-generator.js"));
+const { renderHandwritingSVG } = require(
+  path.join(JS_DIR, "handwriting-renderer.js"),
+);
+
+const HELP = `Usage: handwriting-svg --font <file> [options] [text...]
+
+Text comes from the arguments, --text, --input <file>, or stdin when none is given.
+
+Input / output:
+  -f, --font <file>         Handwriting JSON exported from capture.html (required)
+  -t, --text <string>       Text to render
+  -i, --input <file>        Read text from a file ("-" for stdin)
+  -o, --output <file>       Write SVG to a file instead of stdout
+      --hand <name=file>    Extra handwriting for paragraphs starting with {{name}}
+                            (repeatable)
+
+Render options:
+      --size <px>           Font size (default 60)
+      --letter-spacing <px> Letter spacing (default 5)
+      --no-kerning          Do not apply optical kerning
+      --kerning-strength <n>
+                            Share of the optical kerning applied, 0-1 (default 1)
+      --line-height <n>     Line height multiplier (default 1.5)
+      --variation <n>       Natural variation 0-10 (default 2)
+      --no-connect          Do not join cursive letters
+      --stroke-mode <mode>  centerline | outline (default centerline)
+      --variant-mode <mode> avoidRepeat | random | roundRobin (default avoidRepeat)
+      --seed <seed>         Seed for a reproducible render (default random)
+      --fallbacks <list>    Comma-separated fallbacks for missing glyphs, tried in
+                            order: otherCase, synthesized, profile, placeholder
+                            (default all; "none" leaves a gap)
+      --fallback-hand <name>
+                            --hand to borrow missing glyphs from
+      --max-width <n>       Wrap lines at this width (default 0 = no wrapping)
+      --width-unit <unit>   px | mm (default px)
+      --align <align>       left | center | right | justify (default left)
+      --hyphenate           Hyphenate long words when wrapping
+      --margin <px>         Space around the ink (default 20)
+      --fit <WxH>           Scale the SVG to fit a WxH px box
+      --color <color>       Stroke color (default #000000)
+  -h, --help                Show this help
+`;
+
+const ARG_OPTIONS = {
+  font: { type: "string", short: "f" },
+  text: { type: "string", short: "t" },
+  input: { type: "string", short: "i" },
+  output: { type: "string", short: "o" },
+  hand: { type: "string", multiple: true },
+  size: { type: "string" },
+  "letter-spacing": { type: "string" },
+  "no-kerning": { type: "boolean" },
+  "kerning-strength": { type: "string" },
+  "line-height": { type: "string" },
+  variation: { type: "string" },
+  "no-connect": { type: "boolean" },
+  "stroke-mode": { type: "string" },
+  "variant-mode": { type: "string" },
+  seed: { type: "string" },
+  fallbacks: { type: "string" },
+  "fallback-hand": { type: "string" },
+  "max-width": { type: "string" },
+  "width-unit": { type: "string" },
+  align: { type: "string" },
+  hyphenate: { type: "boolean" },
+  margin: { type: "string" },
+  fit: { type: "string" },
+  color: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+const CHOICES = {
+  "stroke-mode": ["centerline", "outline"],
+  "variant-mode": ["avoidRepeat", "random", "roundRobin"],
+  "width-unit": ["px", "mm"],
+  align: ["left", "center", "right", "justify"],
+};
+
+const FALLBACKS = ["otherCase", "synthesized", "profile", "placeholder"];
+
+function main() {
+  const { values, positionals } = parseArgs({
+    options: ARG_OPTIONS,
+    allowPositionals: true,
+  });
+
+  if (values.help) {
+    process.stdout.write(HELP);
+    return;
+  }
+
+  if (!values.font) {
+    throw new Error("Missing --font <file>");
+  }
+
+  const fontJSON = fs.readFileSync(values.font, "utf8");
+  const text = readText(values, positionals).replace(/\r\n/g, "\n");
+  if (!text) {
+    throw new Error("No text to render");
+  }
+
+  const options = { ...toRenderOptions(values), hands: readHands(values) };
+  if (options.fallbackProfile && !(options.fallbackProfile in options.hands)) {
+    throw new Error(
+      `--fallback-hand "${options.fallbackProfile}" needs a --hand`,
+    );
+  }
+  const svg = renderHandwritingSVG(fontJSON, text, {
+    ...options,
+    onFontReport: (report, hand) => {
+      const file = hand === null ? values.font : `--hand ${hand}`;
+      process.stderr.write(
+        `handwriting-svg: ${file}:\n${FontSchema.formatReport(report)}\n`,
+      );
+    },
+    onUnknownProfiles: (names) => {
+      process.stderr.write(
+        `handwriting-svg: no --hand for ${names.map((name) => `{{${name}}}`).join(", ")}\n`,
+      );
+    },
+  });
+
+  if (values.output) {
+    fs.writeFileSync(values.output, svg);
+  } else {
+    process.stdout.write(svg + "\n");
+  }
+}
+
+/**
+ * Pick the text source: --text, --input, positionals or stdin
+ * @param {Object} values - Parsed options
+ * @param {Array} positionals - Remaining arguments
+ * @returns {string} Text to render
+ */
+function readText(values, positionals) {
+  if (values.text !== undefined) return values.text;
+  if (values.input && values.input !== "-") {
+    return fs.readFileSync(values.input, "utf8").replace(/\n$/, "");
+  }
+  if (positionals.length > 0 && !values.input) return positionals.join(" ");
+  return fs.readFileSync(0, "utf8").replace(/\n$/, "");
+}
+
+/**
+ * Read the extra hands given as --hand name=file
+ * @param {Object} values - Parsed options
+ * @returns {Object} {name: fontJSON}
+ */
+function readHands(values) {
+  const hands = {};
+  (values.hand || []).forEach((spec) => {
+    const separator = spec.lastIndexOf("=");
+    if (separator <= 0) {
+      throw new Error(`--hand expects name=file, got "${spec}"`);
+    }
+    const name = spec.slice(0, separator).trim();
+    hands[name] = fs.readFileSync(spec.slice(separator + 1), "utf8");
+  });
+  return hands;
+}
+
+/**
+ * Convert command-line flags into render options
+ * @param {Object} values - Parsed options
+ * @returns {Object} Options for renderHandwritingSVG
+ */
+function toRenderOptions(values) {
+  const options = {};
+
+  Object.entries(CHOICES).forEach(([flag, choices]) => {
+    if (values[flag] !== undefined && !choices.includes(values[flag])) {
+      throw new Error(`--${flag} must be one of: ${choices.join(", ")}`);
+    }
+  });
+
+  const numbers = {
+    size: "fontSize",
+    "letter-spacing": "letterSpacing",
+    "kerning-strength": "kerningStrength",
+    "line-height": "lineHeight",
+    variation: "variation",
+    "max-width": "maxWidth",
+    margin: "margin",
+  };
+  Object.entries(numbers).forEach(([flag, key]) => {
+    if (values[flag] === undefined) return;
+    const value = parseFloat(values[flag]);
+    if (!isFinite(value)) {
+      throw new Error(`--${flag} expects a number`);
+    }
+    options[key] = value;
+  });
+
+  if (values["no-connect"]) options.connectCursive = false;
+  if (values["no-kerning"]) options.kerning = false;
+  if (values.hyphenate) options.hyphenate = true;
+  if (values["stroke-mode"]) options.strokeMode = values["stroke-mode"];
+  if (values["variant-mode"]) options.variantMode = values["variant-mode"];
+  if (values["width-unit"]) options.widthUnit = values["width-unit"];
+  if (values.align) options.align = values.align;
+  if (values.color) options.strokeColor = values.color;
+  if (values.seed !== undefined) options.seed = values.seed;
+
+  if (values.fallbacks !== undefined) {
+    const fallbacks = values.fallbacks
+      .split(",")
+      .map((step) => step.trim())
+      .filter((step) => step && step !== "none");
+    const invalid = fallbacks.find((step) => !FALLBACKS.includes(step));
+    if (invalid) {
+      throw new Error(`--fallbacks must be made of: ${FALLBACKS.join(", ")}`);
+    }
+    options.fallbacks = fallbacks;
+  }
+  if (values["fallback-hand"] !== undefined) {
+    options.fallbackProfile = values["fallback-hand"];
+  }
+
+  if (values.fit) {
+    const match = values.fit.match(/^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/i);
+    if (!match) {
+      throw new Error("--fit expects WIDTHxHEIGHT, e.g. 800x600");
+    }
+    options.fitToBox = true;
+    options.fitWidth = parseFloat(match[1]);
+    options.fitHeight = parseFloat(match[2]);
+  }
+
+  return options;
+}
+
+try {
+  main();
+} catch (error) {
+  process.stderr.write(`handwriting-svg: ${error.message}\n`);
+  process.exit(1);
+}
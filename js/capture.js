@@ -5,14 +5,34 @@
 
 // Global variables
 let fontData;
-let currentChar = "a";
+let fontLibrary;
+let undoStack;
+let revisionPanel;
+let glyphMetricsPanel;
+let consistencyPanel;
+let compareStrokes = null; // revision overlaid on the canvas for comparison
+let currentChar = "a"; // glyph key being edited, e.g. "a" or "a@initial" for a positional form
+let currentVariant = 0; // index of the take being edited; equal to the count for a new take
 let currentStrokes = [];
 let currentStroke = null;
+let currentAnchor = null; // where a diacritic mark attaches to its letter; null for other glyphs
 let isDrawing = false;
+let isMovingAnchor = false;
 let showGuides = true;
 let showPressure = true;
+let penOnly = false; // ignore touch contacts (palm rejection) when drawing with a stylus
+let activePointerId = null;
+let lastInputSource = null;
 let canvasWidth = 450;
 let canvasHeight = 350;
+let lastSnapshotModified = null; // font modification time of the last autosave snapshot
+
+const AUTOSAVE_INTERVAL = 5 * 60 * 1000; // how often changed work is snapshotted
+const ANCHOR_GRAB_RADIUS = 12; // px around a mark's anchor that drag it instead of drawing
+
+// Pointer events carry real pen pressure/tilt; p5 mouse/touch handlers are only a fallback
+const supportsPointerEvents =
+  typeof window !== "undefined" && "PointerEvent" in window;
 
 // Guideline metrics (ascender through descender) to preserve relative scale
 const GUIDELINE_METRICS = {
@@ -22,44 +42,121 @@ const GUIDELINE_METRICS = {
   baseline: 0.66, // writing baseline
   descender: 0.82, // bottom of descenders
 };
+// Baseline below the ascender line in em, as stored in the glyph metrics
+const GUIDELINE_BASELINE =
+  (GUIDELINE_METRICS.baseline - GUIDELINE_METRICS.ascender) /
+  (GUIDELINE_METRICS.descender - GUIDELINE_METRICS.ascender);
 
-// Character + pair set
+// Character set: the selected packs plus the user's own list (see CharacterSets)
 const CHAR_SET = [];
-const PAIR_SET = [
-  "th",
-  "ch",
-  "sh",
-  "wh",
-  "ph",
-  "qu",
-  "oo",
-  "ee",
-  "ll",
-  "tt",
-  "or",
-  "br",
-  "st",
-];
+let activePacks = CharacterSets.loadPackIds();
+let customCharacters = CharacterSets.loadCustom();
 
 // Initialize character set
 function initCharacterSet() {
-  // Lowercase a-z
-  for (let i = 97; i <= 122; i++) {
-    CHAR_SET.push(String.fromCharCode(i));
+  CHAR_SET.length = 0;
+  CHAR_SET.push(...CharacterSets.getCharacters(activePacks, customCharacters));
+}
+
+// Rebuild the set and everything that shows it
+function refreshCharacterSet() {
+  initCharacterSet();
+  updateUI();
+  renderCharacterGrid();
+  renderPackList();
+  renderCustomList();
+}
+
+/**
+ * Select the language packs to capture
+ * @param {Array} packIds - Pack ids
+ */
+function setPacks(packIds) {
+  activePacks = packIds;
+  try {
+    CharacterSets.savePackIds(activePacks);
+  } catch (error) {
+    fontLibrary.reportSave(error);
   }
-  // Uppercase A-Z
-  for (let i = 65; i <= 90; i++) {
-    CHAR_SET.push(String.fromCharCode(i));
+  refreshCharacterSet();
+}
+
+/**
+ * Replace the user's own list and rebuild the character set
+ * Captured glyphs are kept when an entry is removed from the list.
+ * @param {Array} list - Characters, ligatures and words
+ */
+function setCustomCharacters(list) {
+  customCharacters = list;
+  try {
+    CharacterSets.saveCustom(customCharacters);
+  } catch (error) {
+    fontLibrary.reportSave(error);
   }
-  // Numbers 0-9
-  for (let i = 48; i <= 57; i++) {
-    CHAR_SET.push(String.fromCharCode(i));
+  refreshCharacterSet();
+}
+
+/**
+ * Add a character, ligature or word to the user's list
+ * @param {string} value - Text the glyph stands for
+ * @returns {boolean} True when it was added
+ */
+function addCustomCharacter(value) {
+  const entry = value.trim();
+  if (entry.length === 0 || CHAR_SET.includes(entry)) return false;
+  if (/\s/.test(entry)) {
+    alert("Entries cannot contain spaces; add each word separately.");
+    return false;
   }
-  // Common punctuation
-  CHAR_SET.push(" ", ".", ",", "!", "?", ";", ":", "-", "(", ")", '"', "'");
+  setCustomCharacters([...customCharacters, entry]);
+  return true;
+}
 
-  // Key letter pairs for smoother ligatures
-  CHAR_SET.push(...PAIR_SET);
+function renderPackList() {
+  const list = document.getElementById("packList");
+  list.innerHTML = "";
+
+  CharacterSets.PACKS.forEach((pack) => {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = activePacks.includes(pack.id);
+    checkbox.addEventListener("change", () => {
+      setPacks(
+        checkbox.checked
+          ? [...activePacks, pack.id]
+          : activePacks.filter((id) => id !== pack.id),
+      );
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(
+      document.createTextNode(` ${pack.name} (${pack.characters.length})`),
+    );
+    list.appendChild(label);
+  });
+}
+
+function renderCustomList() {
+  const list = document.getElementById("customList");
+  list.innerHTML = "";
+
+  customCharacters.forEach((entry) => {
+    const item = document.createElement("span");
+    item.className = "custom-item";
+    item.textContent = entry;
+
+    const remove = document.createElement("button");
+    remove.className = "custom-remove";
+    remove.textContent = "×";
+    remove.title = `Remove "${entry}" from the list (captured glyphs are kept)`;
+    remove.addEventListener("click", () => {
+      setCustomCharacters(customCharacters.filter((other) => other !== entry));
+    });
+
+    item.appendChild(remove);
+    list.appendChild(item);
+  });
 }
 
 // p5.js setup
@@ -84,19 +181,59 @@ function setup() {
   canvasElement.addEventListener("pointercancel", handlePointerCancel);
   canvasElement.addEventListener("pointerleave", handlePointerLeave);
 
-  // Initialize
+  // Initialize with an empty font until storage has loaded
+  fontLibrary = new FontLibrary();
+  fontLibrary.onBlocked = (error) =>
+    ProfilePicker.showWarning(error ? error.message : "");
   fontData = new FontData();
+  undoStack = new UndoStack();
+  undoStack.onChange = updateUndoButtons;
+  revisionPanel = new RevisionPanel(fontLibrary, {
+    onRestore: restoreRevision,
+    onCompare: (revision) => {
+      compareStrokes = revision ? revision.glyph.strokes : null;
+    },
+  });
+  glyphMetricsPanel = new GlyphMetricsPanel(GUIDELINE_BASELINE, {
+    onChange: changeGlyphMetrics,
+    onBearings: (left, right) => {
+      fontData.setSideBearings(currentChar, left, right);
+      fontLibrary.saveSpacing(fontData);
+    },
+  });
+  glyphMetricsPanel.setup();
+  consistencyPanel = new ConsistencyPanel({ onOpen: loadCharacter });
   initCharacterSet();
 
-  // Try to load from localStorage
-  if (fontData.loadFromLocalStorage()) {
-    console.log("Loaded existing data from localStorage");
-  }
-
   // Setup UI
   setupUI();
   updateUI();
   renderCharacterGrid();
+  initializeLibrary().catch(ProfilePicker.showLoadError);
+}
+
+// Open storage, load the active profile and start autosave snapshots
+async function initializeLibrary() {
+  await fontLibrary.load();
+  fontData = await fontLibrary.loadFont();
+  lastSnapshotModified = fontData.metadata.modified;
+  new ProfilePicker(fontLibrary, switchProfile).setup();
+
+  // The render page links missing characters here as capture.html?char=x
+  const requested = new URLSearchParams(window.location.search).get("char");
+  loadCharacter(requested || currentChar);
+
+  setInterval(autosaveSnapshot, AUTOSAVE_INTERVAL);
+}
+
+// Keep a timestamped snapshot when the font changed since the last one
+async function autosaveSnapshot() {
+  const modified = fontData.metadata.modified;
+  if (modified === lastSnapshotModified) return;
+
+  if (await fontLibrary.createSnapshot(fontData, "Autosave")) {
+    lastSnapshotModified = modified;
+  }
 }
 
 // p5.js draw loop
@@ -108,6 +245,11 @@ function draw() {
     drawGuidelines();
   }
 
+  // Draw the revision being compared underneath
+  if (compareStrokes) {
+    drawCompareStrokes(compareStrokes);
+  }
+
   // Draw saved strokes
   drawStrokes(currentStrokes);
 
@@ -115,6 +257,14 @@ function draw() {
   if (currentStroke && currentStroke.points.length > 0) {
     drawStrokes([currentStroke]);
   }
+
+  if (currentAnchor) {
+    drawAnchor(currentAnchor);
+  }
+
+  if (glyphMetricsPanel.glyph) {
+    drawGlyphMetrics(glyphMetricsPanel.glyph);
+  }
 }
 
 // Draw handwriting guidelines: ascender, x-height, baseline, descender
@@ -221,8 +371,83 @@ function drawStrokes(strokes) {
   pop();
 }
 
+// Draw an earlier revision as a faint overlay
+function drawCompareStrokes(strokes) {
+  push();
+  drawingContext.setLineDash([]);
+  noFill();
+  stroke(230, 126, 34, 140);
+  strokeWeight(4);
+  strokeCap(ROUND);
+  strokeJoin(ROUND);
+  strokes.forEach((strokeData) => {
+    beginShape();
+    strokeData.points.forEach((p) => vertex(p.x, p.y));
+    endShape();
+  });
+  pop();
+}
+
+// Draw a mark's anchor: the point placed on the letter's ink top (or bottom)
+function drawAnchor(anchor) {
+  push();
+  drawingContext.setLineDash([]);
+  stroke(231, 76, 60);
+  strokeWeight(2);
+  noFill();
+  circle(anchor.x, anchor.y, 10);
+  line(anchor.x - 8, anchor.y, anchor.x + 8, anchor.y);
+  line(anchor.x, anchor.y - 8, anchor.x, anchor.y + 8);
+  noStroke();
+  fill(231, 76, 60);
+  textSize(11);
+  textAlign(LEFT, TOP);
+  text("Anchor (drag to move)", anchor.x + 10, anchor.y + 4);
+  pop();
+}
+
+// Draw a saved glyph's advance width, side bearings and its own baseline
+function drawGlyphMetrics(glyph) {
+  const em =
+    glyph.metrics?.emHeight ||
+    (GUIDELINE_METRICS.descender - GUIDELINE_METRICS.ascender) * canvasHeight;
+  const bearings = fontData.getSideBearings(currentChar);
+  const left = glyph.bounds.minX;
+  const right =
+    left +
+    (glyph.advance !== undefined ? glyph.advance * em : glyph.bounds.width);
+  const before = left - bearings.left * em;
+  const after = right + bearings.right * em;
+
+  push();
+  strokeWeight(1);
+  stroke(40, 167, 69);
+  drawingContext.setLineDash([]);
+  line(left, 0, left, canvasHeight);
+  line(right, 0, right, canvasHeight);
+  drawingContext.setLineDash([4, 4]);
+  line(before, 0, before, canvasHeight);
+  line(after, 0, after, canvasHeight);
+
+  // A baseline set in Glyph Metrics is drawn over the guideline
+  const offset = StrokeProcessor.getBaselineNorm(glyph) - GUIDELINE_BASELINE;
+  if (glyph.metrics && Math.abs(offset) > 0.001) {
+    const baselineY = glyph.metrics.baseline;
+    stroke(253, 126, 20);
+    drawingContext.setLineDash([8, 4]);
+    line(0, baselineY, canvasWidth, baselineY);
+    noStroke();
+    fill(253, 126, 20);
+    textSize(11);
+    textAlign(RIGHT, BOTTOM);
+    text("Glyph baseline", canvasWidth - 10, baselineY - 4);
+  }
+  pop();
+}
+
 // Mouse/touch handlers
 function mousePressed() {
+  if (supportsPointerEvents) return;
   if (
     mouseX < 0 ||
     mouseX > canvasWidth ||
@@ -235,18 +460,18 @@ function mousePressed() {
 }
 
 function mouseDragged() {
-  if (!isDrawing) return;
+  if (supportsPointerEvents || !isDrawing) return;
   continueDrawing(mouseX, mouseY);
 }
 
 function mouseReleased() {
-  if (isDrawing) {
+  if (!supportsPointerEvents && isDrawing) {
     endDrawing();
   }
 }
 
 function handleTouchStart() {
-  if (touches.length > 0) {
+  if (!supportsPointerEvents && touches.length > 0) {
     const touch = touches[0];
     startDrawingAt(touch.x, touch.y);
   }
@@ -254,7 +479,7 @@ function handleTouchStart() {
 }
 
 function handleTouchMove() {
-  if (isDrawing && touches.length > 0) {
+  if (!supportsPointerEvents && isDrawing && touches.length > 0) {
     const touch = touches[0];
     continueDrawing(touch.x, touch.y);
   }
@@ -262,7 +487,7 @@ function handleTouchMove() {
 }
 
 function handleTouchEnd() {
-  if (isDrawing) {
+  if (!supportsPointerEvents && isDrawing) {
     endDrawing();
   }
   return false; // Prevent default
@@ -271,90 +496,162 @@ function handleTouchEnd() {
 // Pointer event handlers for pen/touch with better control
 function handlePointerDown(e) {
   e.preventDefault();
+
+  // Palm rejection: in pen-only mode touch contacts never start a stroke
+  if (penOnly && e.pointerType === "touch") return;
+  // Ignore extra contacts while a stroke is in progress
+  if (isDrawing) return;
+
+  activePointerId = e.pointerId;
+  e.target.setPointerCapture?.(e.pointerId);
   const rect = e.target.getBoundingClientRect();
   const x = e.clientX - rect.left;
   const y = e.clientY - rect.top;
-  startDrawingAt(x, y);
+  startDrawingAt(x, y, getPointerInput(e));
 }
 
 function handlePointerMove(e) {
-  if (!isDrawing) return;
+  if (!isDrawing || e.pointerId !== activePointerId) return;
   e.preventDefault();
   const rect = e.target.getBoundingClientRect();
-  const x = e.clientX - rect.left;
-  const y = e.clientY - rect.top;
-  continueDrawing(x, y);
+
+  // Browsers batch high-frequency pen samples; use all of them when available
+  const samples = e.getCoalescedEvents?.() || [];
+  (samples.length > 0 ? samples : [e]).forEach((sample) => {
+    const x = sample.clientX - rect.left;
+    const y = sample.clientY - rect.top;
+    continueDrawing(x, y, getPointerInput(sample));
+  });
 }
 
 function handlePointerUp(e) {
-  if (isDrawing) {
+  if (isDrawing && e.pointerId === activePointerId) {
     e.preventDefault();
     endDrawing();
   }
 }
 
 function handlePointerCancel(e) {
-  if (isDrawing) {
+  if (isDrawing && e.pointerId === activePointerId) {
     e.preventDefault();
     endDrawing();
   }
 }
 
 function handlePointerLeave(e) {
-  if (isDrawing) {
+  if (isDrawing && e.pointerId === activePointerId) {
     e.preventDefault();
     endDrawing();
   }
 }
 
+/**
+ * Extract device data from a pointer event
+ * Pressure is only trusted from pens and from touch screens that report
+ * intermediate force values; mice always report 0.5 while a button is down.
+ * @param {PointerEvent} e - Pointer event
+ * @returns {Object} {pointerType, pressure|null, tiltX, tiltY, twist}
+ */
+function getPointerInput(e) {
+  const pointerType = e.pointerType || "mouse";
+  const hasRealPressure =
+    (pointerType === "pen" && e.pressure > 0) ||
+    (pointerType === "touch" &&
+      e.pressure > 0 &&
+      e.pressure < 1 &&
+      e.pressure !== 0.5);
+
+  return {
+    pointerType,
+    pressure: hasRealPressure ? e.pressure : null,
+    tiltX: e.tiltX || 0,
+    tiltY: e.tiltY || 0,
+    twist: e.twist || 0,
+  };
+}
+
 // Drawing logic
 function startDrawing() {
-  isDrawing = true;
-  currentStroke = {
-    points: [],
-    startTime: Date.now(),
-  };
-  addPoint(mouseX, mouseY);
+  startDrawingAt(mouseX, mouseY, { pointerType: "mouse", pressure: null });
 }
 
-function startDrawingAt(x, y) {
+function startDrawingAt(
+  x,
+  y,
+  input = { pointerType: "touch", pressure: null },
+) {
   isDrawing = true;
+
+  // Grabbing a mark's anchor moves it instead of starting a stroke
+  if (
+    currentAnchor &&
+    dist2D(x, y, currentAnchor.x, currentAnchor.y) <= ANCHOR_GRAB_RADIUS
+  ) {
+    isMovingAnchor = true;
+    return;
+  }
+
   currentStroke = {
     points: [],
     startTime: Date.now(),
+    inputSource: input.pointerType,
   };
-  addPoint(x, y);
+  lastInputSource = input.pointerType;
+  addPoint(x, y, input);
 }
 
-function continueDrawing(x, y) {
+function continueDrawing(x, y, input) {
+  if (isMovingAnchor) {
+    currentAnchor = {
+      x: constrain(x, 0, canvasWidth),
+      y: constrain(y, 0, canvasHeight),
+    };
+    return;
+  }
   if (!isDrawing || !currentStroke) return;
-  addPoint(x, y);
+  addPoint(x, y, input);
 }
 
 function endDrawing() {
+  isMovingAnchor = false;
   if (!currentStroke || currentStroke.points.length < 2) {
     currentStroke = null;
     isDrawing = false;
+    activePointerId = null;
     return;
   }
 
-  currentStrokes.push(currentStroke);
+  const stroke = currentStroke;
   // Debug: log stroke info for visibility issues
   console.log("Stroke saved", {
-    points: currentStroke.points.length,
-    first: currentStroke.points[0],
-    last: currentStroke.points[currentStroke.points.length - 1],
+    points: stroke.points.length,
+    first: stroke.points[0],
+    last: stroke.points[stroke.points.length - 1],
   });
   currentStroke = null;
   isDrawing = false;
-  updateUI();
+  activePointerId = null;
+  // Undoable like clearing, so undoing an earlier clear cannot drop new ink
+  changeStrokes("Draw stroke", [...currentStrokes, stroke]);
 }
 
-function addPoint(x, y) {
+function addPoint(x, y, input) {
   if (!currentStroke) return;
 
   const timestamp = Date.now() - currentStroke.startTime;
 
+  // Real stylus data when the device provides it
+  if (input && input.pressure !== null && input.pressure !== undefined) {
+    const point = { x, y, pressure: input.pressure, timestamp };
+    if (input.pointerType === "pen") {
+      point.tiltX = input.tiltX;
+      point.tiltY = input.tiltY;
+      point.twist = input.twist;
+    }
+    currentStroke.points.push(point);
+    return;
+  }
+
   // Calculate pressure based on speed (simulate pressure sensitivity)
   let pressure = 0.5;
   if (currentStroke.points.length > 0) {
@@ -378,34 +675,98 @@ function setupUI() {
   // Character input
   document.getElementById("charInput").value = currentChar;
   document.getElementById("charInput").addEventListener("input", (e) => {
-    if (e.target.value.length > 0) {
-      const value = e.target.value.slice(0, 2);
-      e.target.value = value;
-      loadCharacter(value);
+    const value = e.target.value;
+    if (value.length > 0) {
+      loadCharacter(
+        FontData.formKey(value, FontData.parseKey(currentChar).form),
+      );
     }
   });
 
+  // Positional form (initial, medial, final, isolated) of the character
+  document.getElementById("formSelect").addEventListener("change", (e) => {
+    const { char } = FontData.parseKey(currentChar);
+    loadCharacter(FontData.formKey(char, e.target.value || null));
+  });
+
+  // Language packs and the user's own list
+  const customInput = document.getElementById("customInput");
+  const submitCustom = () => {
+    if (addCustomCharacter(customInput.value)) {
+      customInput.value = "";
+    }
+  };
+  document.getElementById("addCustom").addEventListener("click", submitCustom);
+  customInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") submitCustom();
+  });
+  renderPackList();
+  renderCustomList();
+
   // Next button
   document.getElementById("nextChar").addEventListener("click", () => {
-    const currentIndex = CHAR_SET.indexOf(currentChar);
+    const { char, form } = FontData.parseKey(currentChar);
+    const currentIndex = CHAR_SET.indexOf(char);
     const nextIndex = (currentIndex + 1) % CHAR_SET.length;
-    loadCharacter(CHAR_SET[nextIndex]);
+    loadCharacter(FontData.formKey(CHAR_SET[nextIndex], form));
   });
 
   // Clear button
   document.getElementById("clearBtn").addEventListener("click", () => {
-    currentStrokes = [];
-    updateUI();
+    if (currentStrokes.length === 0) return;
+    changeStrokes(`Clear "${FontData.describeKey(currentChar)}"`, []);
+  });
+
+  // Variant navigation
+  document.getElementById("prevVariant").addEventListener("click", () => {
+    if (currentVariant > 0) {
+      loadCharacter(currentChar, currentVariant - 1);
+    }
+  });
+
+  document.getElementById("nextVariant").addEventListener("click", () => {
+    if (currentVariant < fontData.getVariantCount(currentChar)) {
+      loadCharacter(currentChar, currentVariant + 1);
+    }
+  });
+
+  document.getElementById("newVariant").addEventListener("click", () => {
+    loadCharacter(currentChar, fontData.getVariantCount(currentChar));
   });
 
+  document
+    .getElementById("deleteVariant")
+    .addEventListener("click", deleteCurrentVariant);
+
   // Undo button
   document.getElementById("undoBtn").addEventListener("click", () => {
     if (currentStrokes.length > 0) {
-      currentStrokes.pop();
-      updateUI();
+      changeStrokes("Undo stroke", currentStrokes.slice(0, -1));
     }
   });
 
+  // Global undo/redo (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y); failures show in the save warning
+  const undo = () =>
+    undoStack.undo().catch((error) => fontLibrary.reportSave(error));
+  const redo = () =>
+    undoStack.redo().catch((error) => fontLibrary.reportSave(error));
+  document.getElementById("undoAction").addEventListener("click", undo);
+  document.getElementById("redoAction").addEventListener("click", redo);
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.target.matches("input, textarea")) {
+      return;
+    }
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if (key === "y" || (key === "z" && e.shiftKey)) {
+      e.preventDefault();
+      redo();
+    }
+  });
+  updateUndoButtons();
+
   // Save character button
   document
     .getElementById("saveChar")
@@ -416,6 +777,11 @@ function setupUI() {
     showGuides = e.target.checked;
   });
 
+  // Pen-only checkbox (palm rejection)
+  document.getElementById("penOnly").addEventListener("change", (e) => {
+    penOnly = e.target.checked;
+  });
+
   // Pressure checkbox
   document.getElementById("showPressure").addEventListener("change", (e) => {
     showPressure = e.target.checked;
@@ -424,6 +790,22 @@ function setupUI() {
   // Export button
   document.getElementById("exportJSON").addEventListener("click", exportData);
 
+  // Font export buttons
+  document
+    .getElementById("exportTTF")
+    .addEventListener("click", () => exportFont("ttf"));
+  document
+    .getElementById("exportSVGFont")
+    .addEventListener("click", () => exportFont("svg"));
+
+  // Consistency check
+  document.getElementById("analyzeFont").addEventListener("click", () => {
+    consistencyPanel.show(FontAnalysis.analyze(fontData));
+  });
+  document
+    .getElementById("normalizeFont")
+    .addEventListener("click", normalizeFlaggedGlyphs);
+
   // Import button
   document.getElementById("importJSON").addEventListener("click", () => {
     document.getElementById("fileInput").click();
@@ -432,6 +814,19 @@ function setupUI() {
   document.getElementById("fileInput").addEventListener("change", importData);
 }
 
+// Guideline positions on the current canvas, stored with every glyph
+function getCaptureMetrics() {
+  return {
+    ascender: GUIDELINE_METRICS.ascender * canvasHeight,
+    xHeight: GUIDELINE_METRICS.xHeight * canvasHeight,
+    baseline: GUIDELINE_METRICS.baseline * canvasHeight,
+    descender: GUIDELINE_METRICS.descender * canvasHeight,
+    emHeight:
+      (GUIDELINE_METRICS.descender - GUIDELINE_METRICS.ascender) * canvasHeight,
+    captureWidth: canvasWidth,
+  };
+}
+
 // Save current character
 function saveCurrentCharacter() {
   if (currentStrokes.length === 0) {
@@ -441,18 +836,24 @@ function saveCurrentCharacter() {
 
   const bounds = StrokeProcessor.calculateBounds(currentStrokes);
   const baseline = StrokeProcessor.detectBaseline(currentStrokes);
-  const metrics = {
-    ascender: GUIDELINE_METRICS.ascender * canvasHeight,
-    xHeight: GUIDELINE_METRICS.xHeight * canvasHeight,
-    baseline: GUIDELINE_METRICS.baseline * canvasHeight,
-    descender: GUIDELINE_METRICS.descender * canvasHeight,
-    emHeight:
-      (GUIDELINE_METRICS.descender - GUIDELINE_METRICS.ascender) * canvasHeight,
-    captureWidth: canvasWidth,
-  };
+  const metrics = getCaptureMetrics();
+
+  // A take saved again keeps the baseline and advance width set in Glyph Metrics
+  const previous = fontData.getCharacter(currentChar, currentVariant);
+  if (previous?.metrics?.emHeight) {
+    metrics.baseline =
+      metrics.ascender +
+      StrokeProcessor.getBaselineNorm(previous) * metrics.emHeight;
+  }
 
-  // Store with simplified strokes
+  // Store with simplified strokes; startOffset keeps pen-up timing between strokes
+  const firstStart = currentStrokes[0].startTime;
   const simplifiedStrokes = currentStrokes.map((stroke) => ({
+    inputSource: stroke.inputSource || "mouse",
+    startOffset:
+      stroke.startTime !== undefined && firstStart !== undefined
+        ? stroke.startTime - firstStart
+        : stroke.startOffset,
     points: StrokeProcessor.simplifyStroke(stroke.points, 2),
   }));
 
@@ -464,73 +865,287 @@ function saveCurrentCharacter() {
   );
   const connectors = StrokeProcessor.extractConnectors(normalizedForConnectors);
 
-  fontData.setCharacter(
-    currentChar,
-    simplifiedStrokes,
-    bounds,
-    baseline,
-    metrics,
-    connectors,
-  );
-  fontData.saveToLocalStorage();
+  // Replace the take being edited, or append when it is a new one
+  const isNewVariant = currentVariant >= fontData.getVariantCount(currentChar);
+  const anchor = currentAnchor;
+  changeCharacter(`Save "${FontData.describeKey(currentChar)}"`, () => {
+    fontData.setCharacter(
+      currentChar,
+      simplifiedStrokes,
+      bounds,
+      baseline,
+      metrics,
+      connectors,
+      currentVariant,
+    );
+    if (anchor) {
+      fontData.setAnchor(currentChar, currentVariant, anchor);
+    }
+    if (previous?.advance !== undefined) {
+      fontData.setAdvance(currentChar, currentVariant, previous.advance);
+    }
+  });
 
   updateUI();
   renderCharacterGrid();
 
-  // Move to next character
-  const currentIndex = CHAR_SET.indexOf(currentChar);
+  // Stay on the character for another take, otherwise move to the next one
+  if (isNewVariant && currentVariant > 0) {
+    loadCharacter(currentChar, fontData.getVariantCount(currentChar));
+    return;
+  }
+
+  // Characters typed into the box that are not in the set join the user's list
+  const { char, form } = FontData.parseKey(currentChar);
+  if (!CHAR_SET.includes(char)) {
+    addCustomCharacter(char);
+  }
+
+  // Next character in the same positional form
+  const currentIndex = CHAR_SET.indexOf(char);
   if (currentIndex < CHAR_SET.length - 1) {
-    loadCharacter(CHAR_SET[currentIndex + 1]);
+    loadCharacter(FontData.formKey(CHAR_SET[currentIndex + 1], form));
+  }
+}
+
+// Delete the variant being edited
+function deleteCurrentVariant() {
+  if (currentVariant >= fontData.getVariantCount(currentChar)) {
+    currentStrokes = [];
+    updateUI();
+    return;
+  }
+
+  const name = FontData.describeKey(currentChar);
+  if (!confirm(`Delete variant ${currentVariant + 1} of "${name}"?`)) {
+    return;
   }
+
+  changeCharacter(`Delete variant of "${name}"`, () =>
+    fontData.removeVariant(currentChar, currentVariant),
+  );
+  loadCharacter(currentChar, Math.max(0, currentVariant - 1));
+}
+
+/**
+ * Change the stored variants of the character being edited
+ * The glyph being replaced is kept as a revision and the change goes on the
+ * undo stack.
+ * @param {string} label - Undo label
+ * @param {Function} apply - Performs the change on fontData
+ */
+function changeCharacter(label, apply) {
+  const char = currentChar;
+  const variant = currentVariant;
+  const previous = fontData.getCharacter(char, variant);
+  const before = JSON.parse(JSON.stringify(fontData.getVariants(char)));
+
+  apply();
+  const after = JSON.parse(JSON.stringify(fontData.getVariants(char)));
+  fontLibrary.saveCharacter(fontData, char);
+  if (previous) {
+    fontLibrary
+      .addRevision(char, variant, previous)
+      .then(() => revisionPanel.refresh());
+  }
+
+  undoStack.push(
+    label,
+    () => setCharacterVariants(char, before, variant),
+    () => setCharacterVariants(char, after, variant),
+  );
+}
+
+// Put back a recorded set of variants (undo/redo of a character change)
+function setCharacterVariants(char, variants, variant) {
+  fontData.setVariants(char, JSON.parse(JSON.stringify(variants)));
+  fontLibrary.saveCharacter(fontData, char);
+  loadCharacter(char, Math.min(variant, fontData.getVariantCount(char)));
+}
+
+/**
+ * Replace the strokes on the canvas as an undoable action
+ * @param {string} label - Undo label
+ * @param {Array} strokes - New canvas strokes
+ */
+function changeStrokes(label, strokes) {
+  const char = currentChar;
+  const variant = currentVariant;
+  const before = currentStrokes;
+  const showStrokes = (shown) => {
+    if (char !== currentChar || variant !== currentVariant) {
+      loadCharacter(char, variant);
+    }
+    currentStrokes = shown.slice();
+    updateUI();
+  };
+
+  showStrokes(strokes);
+  undoStack.push(
+    label,
+    () => showStrokes(before),
+    () => showStrokes(strokes),
+  );
+}
+
+// Make a revision the current take of its character again
+function restoreRevision(revision) {
+  if (!revision) return;
+  const glyph = revision.glyph;
+  const name = FontData.describeKey(currentChar);
+  changeCharacter(`Restore revision of "${name}"`, () => storeGlyph(glyph));
+  loadCharacter(currentChar, currentVariant);
+}
+
+// Apply a change from the Glyph Metrics panel to the take being edited
+function changeGlyphMetrics(label, glyph) {
+  const saved = fontData.getCharacter(currentChar, currentVariant);
+  if (
+    JSON.stringify(currentStrokes) !== JSON.stringify(saved.strokes) &&
+    !confirm("Discard the unsaved strokes on the canvas?")
+  ) {
+    return;
+  }
+
+  const name = FontData.describeKey(currentChar);
+  changeCharacter(`${label} "${name}"`, () => storeGlyph(glyph));
+  loadCharacter(currentChar, currentVariant);
+}
+
+// Write a whole glyph record over the take being edited
+function storeGlyph(glyph) {
+  fontData.setCharacter(
+    currentChar,
+    glyph.strokes,
+    glyph.bounds,
+    glyph.baseline,
+    glyph.metrics,
+    glyph.connectors,
+    currentVariant,
+  );
+  if (glyph.anchor) {
+    fontData.setAnchor(currentChar, currentVariant, glyph.anchor);
+  }
+  if (glyph.advance !== undefined) {
+    fontData.setAdvance(currentChar, currentVariant, glyph.advance);
+  }
+}
+
+function updateUndoButtons() {
+  const undoButton = document.getElementById("undoAction");
+  const redoButton = document.getElementById("redoAction");
+  const undoLabel = undoStack.peekUndo();
+  const redoLabel = undoStack.peekRedo();
+
+  undoButton.disabled = !undoLabel;
+  undoButton.title = undoLabel ? `Undo: ${undoLabel}` : "Nothing to undo";
+  redoButton.disabled = !redoLabel;
+  redoButton.title = redoLabel ? `Redo: ${redoLabel}` : "Nothing to redo";
 }
 
 // Load character for editing
-function loadCharacter(char) {
+function loadCharacter(char, variantIndex = 0) {
   if (!char) return;
 
   currentChar = char;
-  document.getElementById("charInput").value = char;
+  currentVariant = variantIndex;
+  const { char: baseChar, form } = FontData.parseKey(char);
+  document.getElementById("charInput").value = baseChar;
+  document.getElementById("formSelect").value = form || "";
 
   // Load existing strokes if available
-  const charData = fontData.getCharacter(char);
+  const charData = fontData.getCharacter(char, variantIndex);
   currentStrokes = charData ? JSON.parse(JSON.stringify(charData.strokes)) : [];
+  currentAnchor = FontData.isMark(baseChar)
+    ? charData?.anchor || FontData.defaultAnchor(baseChar, getCaptureMetrics())
+    : null;
 
   updateUI();
   renderCharacterGrid();
+  revisionPanel.show(char);
+  glyphMetricsPanel.show(fontData, char, variantIndex);
+}
+
+// Reload the page state from the newly active profile
+async function switchProfile() {
+  fontData = await fontLibrary.loadFont();
+  lastSnapshotModified = fontData.metadata.modified;
+  undoStack.clear();
+  loadCharacter(currentChar);
 }
 
 // Update UI elements
 function updateUI() {
   document.getElementById("strokeCount").textContent = currentStrokes.length;
-
-  const stats = fontData.getStatistics();
-  document.getElementById("capturedCount").textContent = stats.capturedCount;
+  document.getElementById("inputSource").textContent = lastInputSource || "—";
+
+  const variantCount = fontData.getVariantCount(currentChar);
+  document.getElementById("variantLabel").textContent =
+    currentVariant < variantCount
+      ? `Variant ${currentVariant + 1} of ${variantCount}`
+      : `New variant (${variantCount} saved)`;
+  document.getElementById("prevVariant").disabled = currentVariant === 0;
+  document.getElementById("nextVariant").disabled =
+    currentVariant >= variantCount;
+
+  // Progress through the active set; composable accented letters count as done
+  const captured =
+    CHAR_SET.length - fontData.getMissingCharacters(CHAR_SET).length;
+  document.getElementById("capturedCount").textContent = captured;
   document.getElementById("totalChars").textContent = CHAR_SET.length;
 
-  const progress = (stats.capturedCount / CHAR_SET.length) * 100;
+  const progress = CHAR_SET.length > 0 ? (captured / CHAR_SET.length) * 100 : 0;
   document.getElementById("progressFill").style.width = progress + "%";
 }
 
-// Render character grid
+// Render character grid (showing the positional form being captured)
 function renderCharacterGrid() {
   const grid = document.getElementById("charGrid");
+  const { char: currentBase, form } = FontData.parseKey(currentChar);
   grid.innerHTML = "";
 
   CHAR_SET.forEach((char) => {
+    const key = FontData.formKey(char, form);
     const button = document.createElement("button");
     button.className = "char-button";
-    button.textContent = char === " " ? "␣" : char;
-    button.title = char === " " ? "Space" : char;
+    if ([...char].length > 2) {
+      button.classList.add("long-ligature");
+    }
+    if (FontData.isMark(char)) {
+      // Combining marks are shown on a dotted circle
+      button.textContent = `◌${char}`;
+      button.title = FontData.describeKey(char);
+    } else {
+      button.textContent = char === " " ? "␣" : char;
+      button.title = char === " " ? "Space" : char;
+    }
+
+    const forms = fontData.getForms(char);
+    if (forms.length > 0) {
+      button.title += ` (forms: ${forms.join(", ")})`;
+    }
 
-    if (fontData.hasCharacter(char)) {
+    if (fontData.hasCharacter(key)) {
       button.classList.add("captured");
+
+      const variantCount = fontData.getVariantCount(key);
+      if (variantCount > 1) {
+        const badge = document.createElement("span");
+        badge.className = "variant-count";
+        badge.textContent = variantCount;
+        button.appendChild(badge);
+        button.title += ` (${variantCount} variants)`;
+      }
+    } else if (!form && fontData.canCompose(char)) {
+      button.classList.add("composed");
+      button.title += " (built from letter and marks)";
     }
 
-    if (char === currentChar) {
+    if (char === currentBase) {
       button.classList.add("current");
     }
 
-    button.addEventListener("click", () => loadCharacter(char));
+    button.addEventListener("click", () => loadCharacter(key));
 
     grid.appendChild(button);
   });
@@ -548,6 +1163,31 @@ function exportData() {
   URL.revokeObjectURL(url);
 }
 
+// Export captured glyphs as an installable font
+function exportFont(format) {
+  if (fontData.getStatistics().capturedCount === 0) {
+    alert("Please capture some characters first!");
+    return;
+  }
+
+  const familyName = prompt("Font name:", "My Handwriting");
+  if (!familyName) return;
+
+  const exporter = new FontExporter(fontData, { familyName });
+  const fileBase = familyName.replace(/[^A-Za-z0-9-]+/g, "-") || "handwriting";
+  const blob =
+    format === "ttf"
+      ? new Blob([exporter.exportTTF()], { type: "font/ttf" })
+      : new Blob([exporter.exportSVGFont()], { type: "image/svg+xml" });
+
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${fileBase}.${format === "ttf" ? "ttf" : "svg"}`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 // Import data
 function importData(event) {
   const file = event.target.files[0];
@@ -555,15 +1195,21 @@ function importData(event) {
 
   const reader = new FileReader();
   reader.onload = (e) => {
-    const success = fontData.importJSON(e.target.result);
-    if (success) {
-      alert("Data imported successfully!");
-      fontData.saveToLocalStorage();
+    // Whole font, so undo also puts back the spacing and metadata it replaced
+    const before = fontData.exportJSON(0);
+    MergeDialog.show(fontData, e.target.result, async (message) => {
+      const after = fontData.exportJSON(0);
+      undoStack.push(
+        "Import",
+        () => setFontState(before),
+        () => setFontState(after),
+      );
+      await fontLibrary.snapshotStored("Before import");
+      await fontLibrary.saveFont(fontData);
       updateUI();
       renderCharacterGrid();
-    } else {
-      alert("Error importing data. Please check the file format.");
-    }
+      alert(message);
+    });
   };
   reader.readAsText(file);
 
@@ -571,6 +1217,50 @@ function importData(event) {
   event.target.value = "";
 }
 
+// Put back the whole font from exported JSON (undo/redo of an import)
+function setFontState(json) {
+  fontData.replaceWith(FontData.parseJSON(json));
+  showRestoredFont();
+}
+
+// Put back every character (undo/redo of a normalization)
+function setFontCharacters(characters) {
+  fontData.setCharacters(JSON.parse(JSON.stringify(characters)));
+  showRestoredFont();
+}
+
+// Save and show a font put back by undo or redo
+function showRestoredFont() {
+  fontLibrary.saveFont(fontData);
+  loadCharacter(currentChar);
+  if (consistencyPanel.report) {
+    consistencyPanel.show(FontAnalysis.analyze(fontData));
+  }
+}
+
+// Rescale and deslant every take the consistency check flags, as one undoable step
+function normalizeFlaggedGlyphs() {
+  const before = JSON.parse(JSON.stringify(fontData.characters));
+  const changed = FontAnalysis.normalize(fontData);
+  if (changed.length === 0) return;
+
+  const after = JSON.parse(JSON.stringify(fontData.characters));
+  undoStack.push(
+    `Normalize ${changed.length} glyph(s)`,
+    () => setFontCharacters(before),
+    () => setFontCharacters(after),
+  );
+  fontLibrary.saveFont(fontData);
+  Promise.all(
+    changed.map(({ key, variant, previous }) =>
+      fontLibrary.addRevision(key, variant, previous),
+    ),
+  ).then(() => revisionPanel.refresh());
+
+  loadCharacter(currentChar, currentVariant);
+  consistencyPanel.show(FontAnalysis.analyze(fontData));
+}
+
 // Window resize handler
 function windowResized() {
   // Keep canvas size fixed for consistency
@@ -0,0 +1,172 @@
+/**
+ * Character Sets
+ * Language packs of characters to capture, shared by the capture page and the font model
+ */
+
+// Packs in grid order; a character that is in several packs is listed once
+const CHARACTER_PACKS = [
+  {
+    id: "basicLatin",
+    name: "Basic Latin",
+    characters: [
+      ..."abcdefghijklmnopqrstuvwxyz",
+      ..."ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+      ..."0123456789",
+      ...` .,!?;:-()"'`,
+    ],
+  },
+  {
+    id: "ligatures",
+    name: "Common ligatures",
+    characters: [
+      "th",
+      "ch",
+      "sh",
+      "wh",
+      "ph",
+      "qu",
+      "oo",
+      "ee",
+      "ll",
+      "tt",
+      "or",
+      "br",
+      "st",
+    ],
+  },
+  {
+    id: "punctuation",
+    name: "Extended punctuation",
+    characters: [..."“”‘’–—…€£@&#%*/+=[]_"],
+  },
+  {
+    id: "westernEuropean",
+    name: "Western European",
+    characters: [
+      // Diacritic marks first: with them captured most accented letters are composed
+      "\u0301",
+      "\u0300",
+      "\u0302",
+      "\u0308",
+      "\u0303",
+      "\u030A",
+      "\u0327",
+      ..."àáâäãåæçèéêëìíîïñòóôöõøœùúûüýÿß",
+      ..."ÀÁÂÄÃÅÆÇÈÉÊËÌÍÎÏÑÒÓÔÖÕØŒÙÚÛÜÝŸ",
+      ..."¡¿«»",
+    ],
+  },
+  {
+    id: "greek",
+    name: "Greek",
+    characters: [..."αβγδεζηθικλμνξοπρσςτυφχψω", ..."ΑΒΓΔΕΖΗΘΙΚΛΜΝΞΟΠΡΣΤΥΦΧΨΩ"],
+  },
+  {
+    id: "cyrillic",
+    name: "Cyrillic",
+    characters: [
+      ..."абвгдеёжзийклмнопрстуфхцчшщъыьэюя",
+      ..."АБВГДЕЁЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ",
+    ],
+  },
+];
+
+const DEFAULT_CHARACTER_PACKS = ["basicLatin", "ligatures"];
+const CHARACTER_PACKS_KEY = "handwritingCharacterPacks";
+// The user's own list started out as the ligature list, so it keeps that key
+const CUSTOM_CHARACTERS_KEY = "handwritingLigatures";
+
+class CharacterSets {
+  /**
+   * Every available pack
+   * @returns {Array} Packs {id, name, characters}
+   */
+  static get PACKS() {
+    return CHARACTER_PACKS;
+  }
+
+  static get DEFAULT_PACKS() {
+    return DEFAULT_CHARACTER_PACKS;
+  }
+
+  /**
+   * Characters of the given packs followed by the user's own list
+   * @param {Array} packIds - Pack ids; unknown ids are ignored
+   * @param {Array} [custom] - User-defined characters, ligatures and words
+   * @returns {Array} Glyph keys in grid order, without duplicates
+   */
+  static getCharacters(packIds, custom = []) {
+    const characters = [];
+    CHARACTER_PACKS.filter((pack) => packIds.includes(pack.id)).forEach(
+      (pack) => characters.push(...pack.characters),
+    );
+    characters.push(...custom);
+    return [...new Set(characters)];
+  }
+
+  /**
+   * Characters of the packs and list chosen on the capture page
+   * @returns {Array} Glyph keys in grid order
+   */
+  static getActiveCharacters() {
+    return CharacterSets.getCharacters(
+      CharacterSets.loadPackIds(),
+      CharacterSets.loadCustom(),
+    );
+  }
+
+  /**
+   * Read the selected packs, shared by every profile
+   * @returns {Array} Pack ids
+   */
+  static loadPackIds() {
+    const stored = CharacterSets.readList(CHARACTER_PACKS_KEY);
+    return stored || DEFAULT_CHARACTER_PACKS.slice();
+  }
+
+  /**
+   * Read the user's own characters, ligatures and words
+   * @returns {Array} Glyph keys
+   */
+  static loadCustom() {
+    return CharacterSets.readList(CUSTOM_CHARACTERS_KEY) || [];
+  }
+
+  /**
+   * @param {Array} packIds - Pack ids to select
+   * @throws {Error} When the browser refuses to store it (see FontStorage.describeError)
+   */
+  static savePackIds(packIds) {
+    FontStorage.setLocalItem(CHARACTER_PACKS_KEY, JSON.stringify(packIds));
+  }
+
+  /**
+   * @param {Array} custom - User-defined characters, ligatures and words
+   * @throws {Error} When the browser refuses to store it (see FontStorage.describeError)
+   */
+  static saveCustom(custom) {
+    FontStorage.setLocalItem(CUSTOM_CHARACTERS_KEY, JSON.stringify(custom));
+  }
+
+  // Stored array, or null when there is none (or no localStorage, as in Node.js)
+  static readList(key) {
+    if (typeof localStorage === "undefined") return null;
+    try {
+      const stored = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(stored) ? stored : null;
+    } catch (error) {
+      console.error(`Error loading ${key}:`, error);
+      return null;
+    }
+  }
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.CharacterSets = CharacterSets;
+}
+
+// Export for Node.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CharacterSets;
+}
@@ -0,0 +1,89 @@
+/**
+ * Consistency Panel
+ * Shows the font analysis on the capture page: the font medians and every take that drifts from them
+ */
+
+class ConsistencyPanel {
+  /**
+   * @param {Object} callbacks - {onOpen(key, variant)}
+   */
+  constructor(callbacks = {}) {
+    this.callbacks = callbacks;
+    this.list = document.getElementById("consistencyReport");
+    this.normalizeButton = document.getElementById("normalizeFont");
+    this.report = null;
+  }
+
+  /**
+   * @param {Object} report - Result of FontAnalysis.analyze()
+   */
+  show(report) {
+    this.report = report;
+    this.render();
+  }
+
+  render() {
+    const { glyphs, medians } = this.report;
+    const flagged = glyphs.filter((entry) => entry.flags.length > 0);
+    this.normalizeButton.disabled = !flagged.some((entry) =>
+      entry.flags.some((flag) => flag.measure !== "density"),
+    );
+
+    const summary = ["xHeight", "capHeight", "slant"]
+      .filter((measure) => medians[measure] !== null)
+      .map(
+        (measure) =>
+          `${FontAnalysis.MEASURES[measure].label} ${formatMeasure(measure, medians[measure])}`,
+      );
+    const sentences = [
+      `${glyphs.length} take(s) measured.`,
+      summary.length > 0
+        ? `Font median: ${summary.join(", ")}.`
+        : "Capture more letters to compare them.",
+      flagged.length === 0
+        ? "No outliers found."
+        : `${flagged.length} take(s) differ from the rest:`,
+    ];
+    const header = `<p class="consistency-summary">${sentences.join(" ")}</p>`;
+
+    this.list.innerHTML =
+      header +
+      flagged
+        .map(
+          (entry) => `
+        <div class="consistency-row">
+          ${MergeDialog.thumbnail(entry.glyph, 56)}
+          <span class="consistency-info">
+            "${escapeHTML(FontData.describeKey(entry.key))}" variant ${entry.variant + 1}<br />
+            <small>${entry.flags.map(describeFlag).join("; ")}</small>
+          </span>
+          <button class="secondary" data-open="${glyphs.indexOf(entry)}">Open</button>
+        </div>`,
+        )
+        .join("");
+
+    this.list.querySelectorAll("[data-open]").forEach((button) => {
+      button.addEventListener("click", (e) => {
+        const entry = glyphs[Number(e.target.dataset.open)];
+        this.callbacks.onOpen?.(entry.key, entry.variant);
+      });
+    });
+  }
+}
+
+function formatMeasure(measure, value) {
+  if (measure === "slant") return `${value.toFixed(1)}°`;
+  if (measure === "density") return value.toFixed(1);
+  return `${value.toFixed(3)} em`;
+}
+
+// e.g. "x-height 0.412 em (font 0.310 em)"; density can only be fixed by redrawing
+function describeFlag({ measure, value, median }) {
+  const text = `${FontAnalysis.MEASURES[measure].label} ${formatMeasure(measure, value)} (font ${formatMeasure(measure, median)})`;
+  return measure === "density" ? `${text}, redraw` : text;
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.ConsistencyPanel = ConsistencyPanel;
+}
@@ -0,0 +1,224 @@
+/**
+ * Font Analysis
+ * Measures size, slant and stroke density across a font and flags glyphs that drift from the rest
+ */
+
+const X_HEIGHT_LETTERS = "acemnorsuvwxz"; // lowercase letters without ascenders or descenders
+const CAPITAL_LETTER = /^\p{Lu}$/u;
+const DIGIT = /^\p{Nd}$/u;
+const ANALYZED_CHARACTER = /^[\p{L}\p{Nd}]$/u; // ligatures, marks and punctuation vary too much to compare
+const MIN_SLANT_LENGTH = 0.1; // em of near-vertical ink needed to measure the slant
+const MIN_SAMPLES = 5; // glyphs needed before a measure is compared
+const OUTLIER_SPREAD = 3; // robust standard deviations from the median that flag a glyph
+const MAD_TO_SD = 1.4826; // median absolute deviation to standard deviation for normal data
+
+// relative measures are compared as ratios; tolerance is the smallest difference ever flagged
+const CONSISTENCY_MEASURES = {
+  xHeight: { label: "x-height", relative: true, tolerance: 0.1 },
+  capHeight: { label: "cap height", relative: true, tolerance: 0.1 },
+  slant: { label: "slant", relative: false, tolerance: 5 },
+  density: { label: "stroke density", relative: true, tolerance: 0.4 },
+};
+
+class FontAnalysis {
+  static get MEASURES() {
+    return CONSISTENCY_MEASURES;
+  }
+
+  /**
+   * Measure every take of the font's letters and digits and flag the outliers
+   * Heights are compared within the x-height letters and the capitals, density
+   * within lowercase letters, capitals and digits, and slant across all of them.
+   * @param {FontData} fontData - Font to analyze
+   * @returns {Object} {glyphs, medians} where glyphs lists {key, variant, glyph, values, flags}
+   *   and flags holds {measure, value, median} for every measure the take is an outlier in
+   */
+  static analyze(fontData) {
+    const glyphs = [];
+    fontData.getCapturedCharacters().forEach((key) => {
+      const { char } = FontData.parseKey(key);
+      if (!ANALYZED_CHARACTER.test(char)) return;
+      fontData.getVariants(key).forEach((glyph, variant) => {
+        glyphs.push({
+          key,
+          variant,
+          glyph,
+          group: CAPITAL_LETTER.test(char)
+            ? "capital"
+            : DIGIT.test(char)
+              ? "digit"
+              : "lowercase",
+          values: FontAnalysis.measure(glyph, char),
+          flags: [],
+        });
+      });
+    });
+
+    const medians = {
+      xHeight: FontAnalysis.flagOutliers(glyphs, "xHeight"),
+      capHeight: FontAnalysis.flagOutliers(glyphs, "capHeight"),
+      slant: FontAnalysis.flagOutliers(glyphs, "slant"),
+    };
+    ["lowercase", "capital", "digit"].forEach((group) => {
+      FontAnalysis.flagOutliers(
+        glyphs.filter((entry) => entry.group === group),
+        "density",
+      );
+    });
+
+    return { glyphs, medians };
+  }
+
+  /**
+   * @param {Object} glyph - Glyph record
+   * @param {string} char - Character the glyph is for
+   * @returns {Object} {xHeight, capHeight, slant, density}; heights in em above the
+   *   baseline, slant in degrees (positive leans right), density as ink length per
+   *   em of width plus height; null where the measure does not apply
+   */
+  static measure(glyph, char) {
+    const strokes = StrokeProcessor.normalize(
+      glyph.strokes,
+      glyph.bounds,
+      glyph.metrics,
+    );
+    const bounds = StrokeProcessor.calculateBounds(strokes);
+    const height = StrokeProcessor.getBaselineNorm(glyph) - bounds.minY;
+
+    let length = 0;
+    let vertical = 0;
+    let tangent = 0;
+    strokes.forEach((stroke) => {
+      stroke.points.forEach((point, i) => {
+        if (i === 0) return;
+        const dx = point.x - stroke.points[i - 1].x;
+        const dy = point.y - stroke.points[i - 1].y;
+        const segment = Math.hypot(dx, dy);
+        length += segment;
+        // Near-vertical pieces show the slant; -dx/dy is positive when they lean right
+        if (Math.abs(dy) > Math.abs(dx)) {
+          vertical += segment;
+          tangent += (-dx / dy) * segment;
+        }
+      });
+    });
+
+    const size = bounds.width + bounds.height;
+    return {
+      xHeight: X_HEIGHT_LETTERS.includes(char) && height > 0 ? height : null,
+      capHeight: CAPITAL_LETTER.test(char) && height > 0 ? height : null,
+      slant:
+        vertical >= MIN_SLANT_LENGTH
+          ? (Math.atan(tangent / vertical) * 180) / Math.PI
+          : null,
+      density: size > 0 && length > 0 ? length / size : null,
+    };
+  }
+
+  /**
+   * Flag the entries whose value lies far from the median of the others
+   * @param {Array} entries - Entries from analyze()
+   * @param {string} measure - Key of CONSISTENCY_MEASURES
+   * @returns {number|null} Median value, or null with too few glyphs to compare
+   */
+  static flagOutliers(entries, measure) {
+    const { relative, tolerance } = CONSISTENCY_MEASURES[measure];
+    const measured = entries.filter((entry) => entry.values[measure] !== null);
+    if (measured.length < MIN_SAMPLES) return null;
+
+    // Ratios become differences of logarithms, so 10% larger and 10% smaller weigh the same
+    const scale = (value) => (relative ? Math.log(value) : value);
+    const center = median(
+      measured.map((entry) => scale(entry.values[measure])),
+    );
+    const spread = median(
+      measured.map((entry) => Math.abs(scale(entry.values[measure]) - center)),
+    );
+    const limit = Math.max(
+      OUTLIER_SPREAD * MAD_TO_SD * spread,
+      relative ? Math.log(1 + tolerance) : tolerance,
+    );
+    const medianValue = relative ? Math.exp(center) : center;
+
+    measured.forEach((entry) => {
+      const value = entry.values[measure];
+      if (Math.abs(scale(value) - center) > limit) {
+        entry.flags.push({ measure, value, median: medianValue });
+      }
+    });
+    return medianValue;
+  }
+
+  /**
+   * Rescale and deslant one take toward the font median
+   * Density is left alone: a take drawn with too much or too little ink needs redrawing.
+   * @param {Object} glyph - Glyph record
+   * @param {Array} flags - Flags of the take from analyze()
+   * @returns {Object|null} New glyph record, or null when no flag can be corrected
+   */
+  static normalizeGlyph(glyph, flags) {
+    let scale = 1;
+    let shear = 0;
+    flags.forEach(({ measure, value, median: target }) => {
+      if (measure === "xHeight" || measure === "capHeight") {
+        scale = target / value;
+      } else if (measure === "slant") {
+        shear = Math.tan(toRadians(value)) - Math.tan(toRadians(target));
+      }
+    });
+    if (scale === 1 && shear === 0) return null;
+
+    // Around the left end of the baseline, so the glyph stays on its line
+    return FontData.transformGlyph(glyph, {
+      originX: glyph.bounds.minX,
+      originY: glyph.metrics ? glyph.metrics.baseline : glyph.bounds.maxY,
+      scale,
+      shear,
+    });
+  }
+
+  /**
+   * Analyze the font and normalize every take flagged for size or slant
+   * @param {FontData} fontData - Font to change
+   * @returns {Array} {key, variant, previous} for each take that changed
+   */
+  static normalize(fontData) {
+    const changed = [];
+    FontAnalysis.analyze(fontData).glyphs.forEach((entry) => {
+      const normalized = FontAnalysis.normalizeGlyph(entry.glyph, entry.flags);
+      if (!normalized) return;
+
+      const variants = fontData.getVariants(entry.key).slice();
+      variants[entry.variant] = normalized;
+      fontData.setVariants(entry.key, variants);
+      changed.push({
+        key: entry.key,
+        variant: entry.variant,
+        previous: entry.glyph,
+      });
+    });
+    return changed;
+  }
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.FontAnalysis = FontAnalysis;
+}
+
+// Export for Node.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FontAnalysis;
+}
@@ -3,26 +3,60 @@
  * Manages character data storage and retrieval for handwriting font
  */
 
+// Positional forms of a character, stored under keys such as "a@initial"
+const GLYPH_FORMS = ["initial", "medial", "final", "isolated"];
+const FORM_SEPARATOR = "@";
+
+// Diacritic marks captured as their own glyphs, keyed by the combining character;
+// position is the side of the base letter the mark's anchor attaches to
+const DIACRITIC_MARKS = {
+  "\u0301": { name: "acute", position: "above" },
+  "\u0300": { name: "grave", position: "above" },
+  "\u0302": { name: "circumflex", position: "above" },
+  "\u0308": { name: "umlaut", position: "above" },
+  "\u0303": { name: "tilde", position: "above" },
+  "\u030A": { name: "ring", position: "above" },
+  "\u0327": { name: "cedilla", position: "below" },
+};
+
 class FontData {
   constructor() {
     this.characters = {};
     this.metadata = {
       created: new Date().toISOString(),
       modified: new Date().toISOString(),
-      version: "1.0",
+      version: FontSchema.FORMAT_VERSION,
     };
+    // Manual spacing in em: kerning[first][second] and sideBearings[char]
+    this.spacing = { kerning: {}, sideBearings: {} };
+    this.importReport = null;
+    // Derived from the glyph shapes; cleared whenever characters change
+    this.kerningCache = {};
+    this.profileCache = {};
+    this.ligatureLengths = null;
   }
 
   /**
-   * Add or update character or pair data
-   * @param {string} char - The character or pair key (1-2 chars)
+   * Record a change to the characters and drop values derived from them
+   */
+  markModified() {
+    this.metadata.modified = new Date().toISOString();
+    this.kerningCache = {};
+    this.profileCache = {};
+    this.ligatureLengths = null;
+  }
+
+  /**
+   * Build a single glyph record (one captured take of a character)
    * @param {Array} strokes - Array of stroke objects
    * @param {Object} bounds - Bounding box {minX, minY, maxX, maxY, width, height}
    * @param {number} baseline - Baseline position
-   * @param {Object} [metrics] - Optional capture metrics (ascender, descender, xHeight, emHeight, captureWidth)
+   * @param {Object} [metrics] - Optional capture metrics
+   * @param {Object} [connectors] - Optional normalized entry/exit connectors
+   * @returns {Object} Glyph record
    */
-  setCharacter(char, strokes, bounds, baseline, metrics, connectors) {
-    this.characters[char] = {
+  createGlyph(strokes, bounds, baseline, metrics, connectors) {
+    return {
       strokes: strokes,
       bounds: bounds,
       baseline: baseline || 0,
@@ -30,16 +64,74 @@ class FontData {
       connectors: connectors || null,
       timestamp: new Date().toISOString(),
     };
-    this.metadata.modified = new Date().toISOString();
+  }
+
+  /**
+   * Add or update character or pair data
+   * Without a variant index all existing variants are replaced by this one glyph.
+   * @param {string} char - The character or pair key (1-2 chars)
+   * @param {Array} strokes - Array of stroke objects
+   * @param {Object} bounds - Bounding box {minX, minY, maxX, maxY, width, height}
+   * @param {number} baseline - Baseline position
+   * @param {Object} [metrics] - Optional capture metrics (ascender, descender, xHeight, emHeight, captureWidth)
+   * @param {Object} [connectors] - Optional normalized entry/exit connectors
+   * @param {number} [variantIndex] - Variant to replace (appends when equal to the variant count)
+   */
+  setCharacter(
+    char,
+    strokes,
+    bounds,
+    baseline,
+    metrics,
+    connectors,
+    variantIndex,
+  ) {
+    const glyph = this.createGlyph(
+      strokes,
+      bounds,
+      baseline,
+      metrics,
+      connectors,
+    );
+
+    if (variantIndex === undefined || !this.hasCharacter(char)) {
+      this.characters[char] = { variants: [glyph] };
+    } else {
+      const variants = this.characters[char].variants;
+      const index = Math.max(0, Math.min(variantIndex, variants.length));
+      variants[index] = glyph;
+    }
+    this.markModified();
   }
 
   /**
    * Retrieve character data
    * @param {string} char - The character to retrieve
+   * @param {number} [variantIndex=0] - Which captured variant to return
    * @returns {Object|null} Character data or null if not found
    */
-  getCharacter(char) {
-    return this.characters[char] || null;
+  getCharacter(char, variantIndex = 0) {
+    const entry = this.characters[char];
+    if (!entry) return null;
+    return entry.variants[variantIndex] || null;
+  }
+
+  /**
+   * Retrieve every captured variant of a character
+   * @param {string} char - The character to retrieve
+   * @returns {Array} Array of glyph records (empty if not captured)
+   */
+  getVariants(char) {
+    return this.characters[char]?.variants || [];
+  }
+
+  /**
+   * Number of captured variants for a character
+   * @param {string} char - The character to check
+   * @returns {number}
+   */
+  getVariantCount(char) {
+    return this.getVariants(char).length;
   }
 
   /**
@@ -58,12 +150,217 @@ class FontData {
   removeCharacter(char) {
     if (this.hasCharacter(char)) {
       delete this.characters[char];
-      this.metadata.modified = new Date().toISOString();
+      this.markModified();
+    }
+  }
+
+  /**
+   * Remove a single variant; the character is removed with its last variant
+   * @param {string} char - The character to update
+   * @param {number} variantIndex - Variant to remove
+   */
+  removeVariant(char, variantIndex) {
+    const variants = this.getVariants(char);
+    if (variantIndex < 0 || variantIndex >= variants.length) return;
+
+    variants.splice(variantIndex, 1);
+    if (variants.length === 0) {
+      delete this.characters[char];
+    }
+    this.markModified();
+  }
+
+  /**
+   * Replace every variant of a character at once (used to undo edits)
+   * @param {string} char - The character to update
+   * @param {Array} variants - Glyph records; an empty list removes the character
+   */
+  setVariants(char, variants) {
+    if (variants.length === 0) {
+      delete this.characters[char];
+    } else {
+      this.characters[char] = { variants: variants };
     }
+    this.markModified();
+  }
+
+  /**
+   * Replace all characters at once (used to undo an import)
+   * @param {Object} characters - Characters keyed by character string
+   */
+  setCharacters(characters) {
+    this.characters = characters;
+    this.markModified();
+  }
+
+  /**
+   * Key under which a positional form of a character is stored
+   * @param {string} char - Character or pair key
+   * @param {string|null} form - One of GLYPH_FORMS, or null for the plain glyph
+   * @returns {string} Glyph key
+   */
+  static formKey(char, form) {
+    return form ? `${char}${FORM_SEPARATOR}${form}` : char;
+  }
+
+  /**
+   * Split a glyph key into its character and positional form
+   * @param {string} key - Glyph key
+   * @returns {Object} {char, form} where form is null for plain glyphs
+   */
+  static parseKey(key) {
+    const index = key.lastIndexOf(FORM_SEPARATOR);
+    const form = index > 0 ? key.slice(index + 1) : null;
+    return GLYPH_FORMS.includes(form)
+      ? { char: key.slice(0, index), form }
+      : { char: key, form: null };
+  }
+
+  /**
+   * Readable name of a glyph key, e.g. "a (initial)"
+   * @param {string} key - Glyph key
+   * @returns {string}
+   */
+  static describeKey(key) {
+    if (FontData.isMark(key)) return `${DIACRITIC_MARKS[key].name} mark`;
+    const { char, form } = FontData.parseKey(key);
+    return form ? `${char} (${form})` : char;
+  }
+
+  /**
+   * Diacritic marks that are captured on their own and composed onto base letters
+   * @returns {Object} {name, position} by combining character
+   */
+  static get DIACRITIC_MARKS() {
+    return DIACRITIC_MARKS;
+  }
+
+  /**
+   * Whether a glyph key is a diacritic mark
+   * @param {string} key - Glyph key
+   * @returns {boolean}
+   */
+  static isMark(key) {
+    return Object.hasOwn(DIACRITIC_MARKS, key);
+  }
+
+  /**
+   * Anchor of a mark saved without one: the middle of the capture area, on
+   * the x-height line for marks above and on the baseline for marks below
+   * @param {string} mark - Mark key
+   * @param {Object} [metrics] - Capture metrics of the mark
+   * @returns {Object|null} {x, y} in capture coordinates, null without metrics
+   */
+  static defaultAnchor(mark, metrics) {
+    if (!metrics?.captureWidth) return null;
+    const below = DIACRITIC_MARKS[mark]?.position === "below";
+    return {
+      x: metrics.captureWidth / 2,
+      y: below ? metrics.baseline : metrics.xHeight,
+    };
+  }
+
+  /**
+   * Set the point where a mark attaches to its base letter
+   * @param {string} char - Mark key
+   * @param {number} variantIndex - Variant to change
+   * @param {Object|null} anchor - {x, y} in capture coordinates, null for the default
+   */
+  setAnchor(char, variantIndex, anchor) {
+    const glyph = this.getCharacter(char, variantIndex);
+    if (!glyph) return;
+    if (anchor) {
+      glyph.anchor = { x: anchor.x, y: anchor.y };
+    } else {
+      delete glyph.anchor;
+    }
+    this.markModified();
+  }
+
+  /**
+   * Set how far the pen moves after a glyph, replacing its ink width
+   * @param {string} char - Glyph key
+   * @param {number} variantIndex - Variant to change
+   * @param {number|null} advance - Advance width in em, null to use the ink width
+   */
+  setAdvance(char, variantIndex, advance) {
+    const glyph = this.getCharacter(char, variantIndex);
+    if (!glyph) return;
+    if (advance !== null && advance !== undefined) {
+      glyph.advance = advance;
+    } else {
+      delete glyph.advance;
+    }
+    this.markModified();
+  }
+
+  /**
+   * Scale, slant or move a glyph's ink relative to its guidelines
+   * Bounds, the detected baseline, connectors and the anchor follow the strokes;
+   * the metrics stay, so the ink moves against the baseline it is rendered on.
+   * @param {Object} glyph - Glyph record
+   * @param {Object} transform - See StrokeProcessor.transformStrokes
+   * @returns {Object} New glyph record
+   */
+  static transformGlyph(glyph, transform) {
+    const strokes = StrokeProcessor.transformStrokes(glyph.strokes, transform);
+    const bounds = StrokeProcessor.calculateBounds(strokes);
+    const transformed = {
+      ...glyph,
+      strokes,
+      bounds,
+      baseline: StrokeProcessor.detectBaseline(strokes),
+      connectors: StrokeProcessor.extractConnectors(
+        StrokeProcessor.normalize(strokes, bounds, glyph.metrics),
+      ),
+    };
+    if (glyph.anchor) {
+      const [point] = StrokeProcessor.transformStrokes(
+        [{ points: [glyph.anchor] }],
+        transform,
+      )[0].points;
+      transformed.anchor = { x: point.x, y: point.y };
+    }
+    return transformed;
+  }
+
+  /**
+   * Positional forms captured for a character
+   * @param {string} char - Character or pair key
+   * @returns {Array} Forms from GLYPH_FORMS that have at least one variant
+   */
+  getForms(char) {
+    return GLYPH_FORMS.filter((form) =>
+      this.hasCharacter(FontData.formKey(char, form)),
+    );
+  }
+
+  /**
+   * Captured ligatures: keys of more than one character, positional forms aside
+   * @returns {Array} Ligature keys
+   */
+  getLigatures() {
+    return this.getCapturedCharacters().filter(
+      (key) => [...key].length > 1 && !FontData.parseKey(key).form,
+    );
+  }
+
+  /**
+   * Lengths of the captured ligatures, longest first, for longest-match lookup
+   * Lengths are in UTF-16 code units so they can be used with String#slice.
+   * @returns {Array} Distinct lengths
+   */
+  getLigatureLengths() {
+    if (!this.ligatureLengths) {
+      const lengths = new Set(this.getLigatures().map((key) => key.length));
+      this.ligatureLengths = [...lengths].sort((a, b) => b - a);
+    }
+    return this.ligatureLengths;
   }
 
   /**
    * Get all captured characters
+   * Positional forms are included under their own keys.
    * @returns {Array} Array of character strings
    */
   getCapturedCharacters() {
@@ -75,13 +372,22 @@ class FontData {
    * @returns {Object} Statistics object
    */
   getStatistics() {
-    const captured = this.getCapturedCharacters();
-    const totalStrokes = captured.reduce((sum, char) => {
-      return sum + (this.characters[char].strokes?.length || 0);
-    }, 0);
+    const keys = this.getCapturedCharacters();
+    const captured = keys.filter((key) => !FontData.parseKey(key).form);
+    let totalStrokes = 0;
+    let variantCount = 0;
+    keys.forEach((char) => {
+      const variants = this.getVariants(char);
+      variantCount += variants.length;
+      variants.forEach((glyph) => {
+        totalStrokes += glyph.strokes?.length || 0;
+      });
+    });
 
     return {
       capturedCount: captured.length,
+      formCount: keys.length - captured.length,
+      variantCount: variantCount,
       totalStrokes: totalStrokes,
       characters: captured,
       modified: this.metadata.modified,
@@ -89,103 +395,336 @@ class FontData {
   }
 
   /**
-   * Get list of missing characters from standard set
+   * Characters of a set that are neither captured nor composable from marks
+   * @param {Array} [characters] - Glyph keys; defaults to the active packs (see CharacterSets)
    * @returns {Array} Array of missing character strings
    */
-  getMissingCharacters() {
-    const standardSet = this.getStandardCharacterSet();
-    return standardSet.filter((char) => !this.hasCharacter(char));
+  getMissingCharacters(characters = CharacterSets.getActiveCharacters()) {
+    return characters.filter(
+      (char) => !this.hasCharacter(char) && !this.canCompose(char),
+    );
   }
 
   /**
-   * Get standard character set (a-z, A-Z, 0-9, common punctuation)
-   * @returns {Array} Array of standard characters
+   * Whether an accented letter can be built from a captured base and captured marks
+   * @param {string} char - Character to check
+   * @returns {boolean}
    */
-  getStandardCharacterSet() {
-    const chars = [];
-
-    // Lowercase a-z
-    for (let i = 97; i <= 122; i++) {
-      chars.push(String.fromCharCode(i));
-    }
-
-    // Uppercase A-Z
-    for (let i = 65; i <= 90; i++) {
-      chars.push(String.fromCharCode(i));
-    }
-
-    // Numbers 0-9
-    for (let i = 48; i <= 57; i++) {
-      chars.push(String.fromCharCode(i));
-    }
-
-    // Common punctuation
-    const punctuation = [
-      " ",
-      ".",
-      ",",
-      "!",
-      "?",
-      ";",
-      ":",
-      "-",
-      "(",
-      ")",
-      '"',
-      "'",
-    ];
-    chars.push(...punctuation);
-
-    return chars;
+  canCompose(char) {
+    const [base, ...marks] = char.normalize("NFD");
+    return (
+      marks.length > 0 &&
+      this.hasCharacter(base) &&
+      marks.every((mark) => FontData.isMark(mark) && this.hasCharacter(mark))
+    );
   }
 
   /**
    * Export all data as JSON string
+   * @param {number} [indent=2] - Indentation (0 for compact storage)
    * @returns {string} JSON string of all data
    */
-  exportJSON() {
+  exportJSON(indent = 2) {
     const exportData = {
       metadata: this.metadata,
       characters: this.characters,
+      spacing: this.spacing,
     };
-    return JSON.stringify(exportData, null, 2);
+    return JSON.stringify(exportData, null, indent);
+  }
+
+  /**
+   * Parse and validate a JSON font file without changing this font
+   * Older formats are migrated and broken glyphs repaired or dropped.
+   * @param {string} jsonString - JSON string to parse
+   * @returns {Object} {characters, spacing, metadata, report}
+   * @throws {Error} When the file is not a font at all
+   */
+  static parseJSON(jsonString) {
+    const data = JSON.parse(jsonString);
+    const { characters, spacing, report } = FontSchema.validate(data);
+    return { characters, spacing, metadata: data.metadata || {}, report };
   }
 
   /**
-   * Import data from JSON string
+   * Import data from JSON string, replacing all characters
+   * The validation details are kept in importReport.
    * @param {string} jsonString - JSON string to import
    * @returns {boolean} Success status
    */
   importJSON(jsonString) {
     try {
-      const data = JSON.parse(jsonString);
+      const imported = FontData.parseJSON(jsonString);
+      this.replaceWith(imported);
 
-      // Validate structure
-      if (!data.characters || typeof data.characters !== "object") {
-        throw new Error("Invalid data structure: missing characters object");
+      if (imported.report.issues.length > 0) {
+        console.warn("Font import issues:", imported.report.issues);
       }
-
-      // Import data
-      this.characters = data.characters;
-      this.metadata = data.metadata || {
-        created: new Date().toISOString(),
-        modified: new Date().toISOString(),
-        version: "1.0",
-      };
-
       return true;
     } catch (error) {
       console.error("Error importing JSON:", error);
+      this.importReport = { error: error.message, issues: [] };
       return false;
     }
   }
 
+  /**
+   * Replace all characters with parsed font data
+   * @param {Object} imported - Result of FontData.parseJSON
+   */
+  replaceWith(imported) {
+    this.characters = imported.characters;
+    this.spacing = imported.spacing || { kerning: {}, sideBearings: {} };
+    this.metadata = {
+      created: new Date().toISOString(),
+      modified: new Date().toISOString(),
+      ...imported.metadata,
+      version: FontSchema.FORMAT_VERSION,
+    };
+    this.importReport = imported.report;
+    this.kerningCache = {};
+    this.profileCache = {};
+    this.ligatureLengths = null;
+  }
+
+  /**
+   * Compare parsed font data with this font, character by character
+   * @param {Object} incomingCharacters - Characters from FontData.parseJSON
+   * @returns {Array} Entries {char, status, mine, theirs} where status is
+   *   "new", "changed" or "identical" (characters only in this font are left out)
+   */
+  diff(incomingCharacters) {
+    return Object.keys(incomingCharacters)
+      .sort()
+      .map((char) => {
+        const mine = this.getVariants(char);
+        const theirs = incomingCharacters[char].variants;
+        let status = "changed";
+        if (mine.length === 0) {
+          status = "new";
+        } else if (FontData.sameVariants(mine, theirs)) {
+          status = "identical";
+        }
+        return { char, status, mine, theirs };
+      });
+  }
+
+  /**
+   * Merge parsed font data into this font
+   * @param {Object} incomingCharacters - Characters from FontData.parseJSON
+   * @param {Object} [resolutions] - Per character "mine", "theirs" or "both";
+   *   new characters default to "theirs", everything else to "mine"
+   * @param {Object} [incomingSpacing] - Spacing from FontData.parseJSON (see mergeSpacing)
+   * @returns {Object} Counts {added, replaced, combined, spacing}
+   */
+  merge(incomingCharacters, resolutions = {}, incomingSpacing = null) {
+    const counts = { added: 0, replaced: 0, combined: 0, spacing: 0 };
+    const taken = new Set();
+
+    this.diff(incomingCharacters).forEach(({ char, status, mine, theirs }) => {
+      const choice =
+        resolutions[char] || (status === "new" ? "theirs" : "mine");
+      if (status === "identical" || choice === "mine") return;
+
+      if (status === "new" || choice === "theirs") {
+        this.characters[char] = { variants: [...theirs] };
+        taken.add(char);
+        counts[status === "new" ? "added" : "replaced"]++;
+      } else if (choice === "both") {
+        // Append their takes that are not already among mine
+        const extra = theirs.filter(
+          (glyph) => !mine.some((own) => FontData.sameGlyph(own, glyph)),
+        );
+        this.characters[char] = { variants: [...mine, ...extra] };
+        counts.combined++;
+      }
+    });
+
+    if (incomingSpacing) {
+      counts.spacing = this.mergeSpacing(incomingSpacing, taken);
+    }
+    this.markModified();
+    return counts;
+  }
+
+  /**
+   * Merge manual kerning and side bearings with the same mine/theirs rule as the glyphs
+   * Their values fill in what this font lacks and win for characters whose
+   * glyphs were taken from them, since they were tuned for those glyphs.
+   * @param {Object} incomingSpacing - {kerning, sideBearings} from FontData.parseJSON
+   * @param {Set} taken - Characters whose glyphs were replaced by theirs
+   * @returns {number} Kerning pairs and side bearings that changed
+   */
+  mergeSpacing(incomingSpacing, taken) {
+    const { kerning, sideBearings } = this.spacing;
+    let changed = 0;
+
+    Object.entries(incomingSpacing.sideBearings || {}).forEach(
+      ([char, theirs]) => {
+        const mine = sideBearings[char];
+        if (mine && (!taken.has(char) || FontData.sameSpacing(mine, theirs))) {
+          return;
+        }
+        sideBearings[char] = { ...theirs };
+        changed++;
+      },
+    );
+
+    Object.entries(incomingSpacing.kerning || {}).forEach(([first, pairs]) => {
+      Object.entries(pairs).forEach(([second, theirs]) => {
+        const mine = kerning[first]?.[second];
+        if (
+          mine !== undefined &&
+          (mine === theirs || !(taken.has(first) || taken.has(second)))
+        ) {
+          return;
+        }
+        kerning[first] = { ...kerning[first], [second]: theirs };
+        changed++;
+      });
+    });
+
+    return changed;
+  }
+
+  static sameSpacing(a, b) {
+    return a.left === b.left && a.right === b.right;
+  }
+
+  /**
+   * Whether two glyphs hold the same drawing (capture timestamps are ignored)
+   * @param {Object} a - Glyph record
+   * @param {Object} b - Glyph record
+   * @returns {boolean}
+   */
+  static sameGlyph(a, b) {
+    const drawing = (glyph) =>
+      JSON.stringify([glyph.strokes, glyph.bounds, glyph.metrics]);
+    return drawing(a) === drawing(b);
+  }
+
+  static sameVariants(a, b) {
+    return (
+      a.length === b.length &&
+      a.every((glyph, index) => FontData.sameGlyph(glyph, b[index]))
+    );
+  }
+
+  /**
+   * Optical kerning between two glyph keys, cached until the font changes
+   * @param {string} first - Key of the left glyph
+   * @param {string} second - Key of the right glyph
+   * @returns {number} Kerning in em at full strength (negative moves closer)
+   */
+  getKerning(first, second) {
+    const key = `${first}\n${second}`;
+    if (!(key in this.kerningCache)) {
+      const a = this.getSpacingProfile(first);
+      const b = this.getSpacingProfile(second);
+      this.kerningCache[key] =
+        a && b ? StrokeProcessor.opticalKerning(a, b) : 0;
+    }
+    return this.kerningCache[key];
+  }
+
+  /**
+   * Manual kerning for a glyph pair
+   * @param {string} first - Key of the left glyph
+   * @param {string} second - Key of the right glyph
+   * @returns {number|null} Kerning in em, or null when the pair is not set
+   */
+  getPairKerning(first, second) {
+    return this.spacing.kerning[first]?.[second] ?? null;
+  }
+
+  /**
+   * Set or clear manual kerning for a glyph pair (overrides optical kerning)
+   * @param {string} first - Key of the left glyph
+   * @param {string} second - Key of the right glyph
+   * @param {number|null} value - Kerning in em, or null to clear
+   */
+  setPairKerning(first, second, value) {
+    const pairs = this.spacing.kerning[first] || {};
+    if (value === null) {
+      delete pairs[second];
+    } else {
+      pairs[second] = value;
+    }
+    if (Object.keys(pairs).length > 0) {
+      this.spacing.kerning[first] = pairs;
+    } else {
+      delete this.spacing.kerning[first];
+    }
+    this.markModified();
+  }
+
+  /**
+   * @param {string} char - Glyph key
+   * @returns {Object} {left, right} extra space around the glyph in em
+   */
+  getSideBearings(char) {
+    return this.spacing.sideBearings[char] || { left: 0, right: 0 };
+  }
+
+  /**
+   * Set the extra space before and after a glyph; zero on both sides clears it
+   * @param {string} char - Glyph key
+   * @param {number} left - Space before the glyph in em
+   * @param {number} right - Space after the glyph in em
+   */
+  setSideBearings(char, left, right) {
+    if (left === 0 && right === 0) {
+      delete this.spacing.sideBearings[char];
+    } else {
+      this.spacing.sideBearings[char] = { left, right };
+    }
+    this.markModified();
+  }
+
+  /**
+   * Ink profile of a glyph key covering all of its variants
+   * @param {string} char - Glyph key
+   * @returns {Object|null} {profile, width} in em, or null if not captured
+   */
+  getSpacingProfile(char) {
+    if (char in this.profileCache) return this.profileCache[char];
+
+    let result = null;
+    this.getVariants(char).forEach((glyph) => {
+      const strokes = StrokeProcessor.normalize(
+        glyph.strokes,
+        glyph.bounds,
+        glyph.metrics,
+      );
+      const profile = StrokeProcessor.horizontalProfile(
+        strokes,
+        StrokeProcessor.getBaselineNorm(glyph),
+      );
+      const width = StrokeProcessor.calculateBounds(strokes).width;
+      if (!result) {
+        result = { profile, width };
+        return;
+      }
+      // Union of the variants so no take collides with its neighbour
+      result.profile.left = result.profile.left.map((x, i) =>
+        Math.min(x, profile.left[i]),
+      );
+      result.profile.right = result.profile.right.map((x, i) =>
+        Math.max(x, profile.right[i]),
+      );
+      result.width = Math.max(result.width, width);
+    });
+
+    this.profileCache[char] = result;
+    return result;
+  }
+
   /**
    * Clear all character data
    */
   clear() {
     this.characters = {};
-    this.metadata.modified = new Date().toISOString();
+    this.markModified();
   }
 
   /**
@@ -194,7 +733,7 @@ class FontData {
    */
   saveToLocalStorage(key = "handwritingData") {
     try {
-      localStorage.setItem(key, this.exportJSON());
+      localStorage.setItem(key, this.exportJSON(0));
       return true;
     } catch (error) {
       console.error("Error saving to localStorage:", error);
@@ -225,3 +764,8 @@ class FontData {
 if (typeof window !== "undefined") {
   window.FontData = FontData;
 }
+
+// Export for Node.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FontData;
+}
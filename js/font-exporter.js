@@ -0,0 +1,996 @@
+/**
+ * Font Exporter
+ * Builds installable fonts (TrueType and SVG font) from captured handwriting
+ */
+
+class FontExporter {
+  /**
+   * @param {FontData} fontData - Captured handwriting
+   * @param {Object} options - Export options
+   * @param {string} [options.familyName="My Handwriting"] - Font family name
+   * @param {number} [options.unitsPerEm=1000] - Font units per em
+   * @param {number} [options.minStrokeWidth=25] - Stroke width at zero pressure (font units per 1000 em)
+   * @param {number} [options.maxStrokeWidth=50] - Stroke width at full pressure (font units per 1000 em)
+   * @param {number} [options.sideBearing=40] - Space left and right of each glyph (font units per 1000 em)
+   * @param {number} [options.spaceWidth=300] - Advance width of the space (font units per 1000 em)
+   */
+  constructor(fontData, options = {}) {
+    this.fontData = fontData;
+    const unitsPerEm = options.unitsPerEm || 1000;
+    const scale = unitsPerEm / 1000;
+    this.options = {
+      familyName: options.familyName || "My Handwriting",
+      unitsPerEm,
+      minStrokeWidth: (options.minStrokeWidth ?? 25) * scale,
+      maxStrokeWidth: (options.maxStrokeWidth ?? 50) * scale,
+      taperLength: (options.taperLength ?? 80) * scale,
+      sideBearing: (options.sideBearing ?? 40) * scale,
+      spaceWidth: (options.spaceWidth ?? 300) * scale,
+    };
+  }
+
+  /**
+   * Collect glyph outlines, cmap entries, ligatures, kerning and vertical metrics
+   * @returns {Object} {glyphs, ligatures, kerning, metrics} where kerning lists
+   *   the manual pairs as {left, right, value} in glyph ids and font units
+   */
+  buildGlyphSet() {
+    const { unitsPerEm, spaceWidth } = this.options;
+    const metrics = this.getFontMetrics();
+
+    const glyphs = [
+      {
+        name: ".notdef",
+        contours: this.notdefContours(metrics),
+        advanceWidth: Math.round(unitsPerEm * 0.5),
+      },
+      { name: "space", unicode: 32, contours: [], advanceWidth: spaceWidth },
+    ];
+
+    const keys = this.fontData.getCapturedCharacters();
+    const singles = keys
+      .filter((key) => [...key].length === 1 && key !== " ")
+      .filter((key) => key.codePointAt(0) <= 0xffff)
+      .sort((a, b) => a.codePointAt(0) - b.codePointAt(0));
+
+    singles.forEach((key) => {
+      glyphs.push({
+        name: FontExporter.glyphName(key),
+        unicode: key.codePointAt(0),
+        ...this.buildGlyph(this.fontData.getCharacter(key), key),
+      });
+    });
+
+    // Ligatures (not positional forms) become liga glyphs when all their parts exist
+    const indexByChar = {};
+    glyphs.forEach((glyph, index) => {
+      if (glyph.unicode !== undefined) {
+        indexByChar[String.fromCodePoint(glyph.unicode)] = index;
+      }
+    });
+
+    const ligatures = [];
+    this.fontData.getLigatures().forEach((key) => {
+      const components = [...key].map((char) => indexByChar[char]);
+      if (components.some((index) => index === undefined)) {
+        console.warn(`Skipping ligature "${key}": missing component glyph`);
+        return;
+      }
+      ligatures.push({ components, glyph: glyphs.length });
+      glyphs.push({
+        name: [...key].map(FontExporter.glyphName).join("_"),
+        ligature: key,
+        ...this.buildGlyph(this.fontData.getCharacter(key), key),
+      });
+    });
+
+    glyphs.forEach((glyph) => {
+      glyph.advanceWidth = Math.round(glyph.advanceWidth);
+      glyph.bounds = FontExporter.contourBounds(glyph.contours);
+    });
+
+    // Manual pairs from the spacing editor whose glyphs are both in the font
+    const indexByKey = {};
+    glyphs.forEach((glyph, index) => {
+      if (glyph.ligature) {
+        indexByKey[glyph.ligature] = index;
+      } else if (glyph.unicode !== undefined) {
+        indexByKey[String.fromCodePoint(glyph.unicode)] = index;
+      }
+    });
+    const kerning = [];
+    Object.entries(this.fontData.spacing.kerning).forEach(([first, pairs]) => {
+      Object.entries(pairs).forEach(([second, em]) => {
+        const value = Math.round(em * unitsPerEm);
+        if (first in indexByKey && second in indexByKey && value !== 0) {
+          kerning.push({
+            left: indexByKey[first],
+            right: indexByKey[second],
+            value,
+          });
+        }
+      });
+    });
+
+    return { glyphs, ligatures, kerning, metrics };
+  }
+
+  /**
+   * Convert one captured glyph to TrueType contours in font units
+   * @param {Object} charData - Glyph record
+   * @param {string} [key] - Glyph key, for the side bearings set in the spacing editor
+   * @returns {Object} {contours, advanceWidth}
+   */
+  buildGlyph(charData, key) {
+    const { unitsPerEm, sideBearing } = this.options;
+    const bearings = key
+      ? this.fontData.getSideBearings(key)
+      : { left: 0, right: 0 };
+    const left = sideBearing + bearings.left * unitsPerEm;
+    const right = sideBearing + bearings.right * unitsPerEm;
+    const normalized = StrokeProcessor.normalize(
+      charData.strokes,
+      charData.bounds,
+      charData.metrics,
+    );
+    const baselineNorm = StrokeProcessor.getBaselineNorm(charData);
+    const bounds = StrokeProcessor.calculateBounds(normalized);
+
+    // Font space: x from the left bearing, y up from the baseline
+    const toFont = (point) => ({
+      x: (point.x - bounds.minX) * unitsPerEm + left,
+      y: (baselineNorm - point.y) * unitsPerEm,
+      pressure: point.pressure,
+    });
+
+    const contours = normalized
+      .filter((stroke) => stroke.points?.length > 0)
+      .map((stroke) => this.strokeToContour(stroke.points.map(toFont)));
+
+    return {
+      contours,
+      advanceWidth:
+        (charData.advance ?? bounds.width) * unitsPerEm + left + right,
+    };
+  }
+
+  /**
+   * Outline a stroke as a closed quadratic contour
+   * Interior side points are off-curve so TrueType's implied midpoints give
+   * the same smoothing as the SVG renderer; ends get two-segment round caps.
+   * @param {Array} strokePoints - Stroke points in font units
+   * @returns {Array} Contour points {x, y, onCurve}
+   */
+  strokeToContour(strokePoints) {
+    const { minStrokeWidth, maxStrokeWidth, taperLength } = this.options;
+    const points = strokePoints.filter(
+      (p, i) =>
+        i === 0 ||
+        p.x !== strokePoints[i - 1].x ||
+        p.y !== strokePoints[i - 1].y,
+    );
+    const outline = StrokeProcessor.calculateOutline(points, {
+      minWidth: minStrokeWidth,
+      maxWidth: maxStrokeWidth,
+      taperLength,
+    });
+
+    // A dot: four off-curve points make a rounded diamond
+    if (!outline) {
+      const r = maxStrokeWidth / 2;
+      const { x, y } = points[0];
+      return FontExporter.orientClockwise([
+        { x: x + r, y: y + r, onCurve: false },
+        { x: x + r, y: y - r, onCurve: false },
+        { x: x - r, y: y - r, onCurve: false },
+        { x: x - r, y: y + r, onCurve: false },
+      ]);
+    }
+
+    const { left, right, startRadius, endRadius } = outline;
+    const side = (pts) =>
+      pts.map((p, i) => ({
+        x: p.x,
+        y: p.y,
+        onCurve: i === 0 || i === pts.length - 1,
+      }));
+    const cap = (from, to, center, direction, radius) => {
+      const dx = direction.x * radius;
+      const dy = direction.y * radius;
+      return [
+        { x: from.x + dx, y: from.y + dy, onCurve: false },
+        { x: center.x + dx, y: center.y + dy, onCurve: true },
+        { x: to.x + dx, y: to.y + dy, onCurve: false },
+      ];
+    };
+
+    const n = points.length;
+    const endDir = FontExporter.unit(points[n - 1], points[n - 2]);
+    const startDir = FontExporter.unit(points[0], points[1]);
+    const endLeft = left[left.length - 1];
+    const endRight = right[right.length - 1];
+
+    const contour = [
+      ...side(left),
+      ...cap(endLeft, endRight, points[n - 1], endDir, endRadius),
+      ...side(right.slice().reverse()),
+      ...cap(right[0], left[0], points[0], startDir, startRadius),
+    ];
+
+    return FontExporter.orientClockwise(contour);
+  }
+
+  /**
+   * Vertical metrics in font units from the stored capture metrics
+   * @returns {Object} {ascender, descender, xHeight, capHeight}
+   */
+  getFontMetrics() {
+    const { unitsPerEm } = this.options;
+    const keys = this.fontData.getCapturedCharacters();
+    const withMetrics = keys
+      .map((key) => this.fontData.getCharacter(key))
+      .find((glyph) => glyph?.metrics?.emHeight);
+
+    let ascender = Math.round(unitsPerEm * 0.7);
+    let descender = -Math.round(unitsPerEm * 0.3);
+    let xHeight = Math.round(unitsPerEm * 0.35);
+
+    if (withMetrics) {
+      const m = withMetrics.metrics;
+      ascender = Math.round(
+        ((m.baseline - m.ascender) / m.emHeight) * unitsPerEm,
+      );
+      descender = -Math.round(
+        ((m.descender - m.baseline) / m.emHeight) * unitsPerEm,
+      );
+      if (m.xHeight !== undefined) {
+        xHeight = Math.round(
+          ((m.baseline - m.xHeight) / m.emHeight) * unitsPerEm,
+        );
+      }
+    }
+
+    // Cap height is not stored with the metrics; measure it from "H" when captured
+    let capHeight = Math.round(ascender * 0.9);
+    const capital = this.fontData.getCharacter("H");
+    if (capital) {
+      const built = this.buildGlyph(capital);
+      const bounds = FontExporter.contourBounds(built.contours);
+      if (isFinite(bounds.yMax)) capHeight = Math.round(bounds.yMax);
+    }
+
+    return { ascender, descender, xHeight, capHeight };
+  }
+
+  notdefContours(metrics) {
+    const w = Math.round(this.options.unitsPerEm * 0.4);
+    const h = metrics.capHeight;
+    const t = Math.round(this.options.unitsPerEm * 0.04);
+    const box = (x0, y0, x1, y1) => [
+      { x: x0, y: y0, onCurve: true },
+      { x: x0, y: y1, onCurve: true },
+      { x: x1, y: y1, onCurve: true },
+      { x: x1, y: y0, onCurve: true },
+    ];
+    // Outer box clockwise, inner box counter-clockwise to leave a hole
+    return [box(50, 0, 50 + w, h), box(50 + t, t, 50 + w - t, h - t).reverse()];
+  }
+
+  /**
+   * Encode a TrueType font file
+   * @returns {Uint8Array} TTF bytes
+   */
+  exportTTF() {
+    const set = this.buildGlyphSet();
+    const { glyf, loca, maxPoints, maxContours } = this.buildGlyfTable(
+      set.glyphs,
+    );
+
+    const tables = {
+      cmap: this.buildCmapTable(set.glyphs),
+      glyf,
+      head: this.buildHeadTable(set.glyphs),
+      hhea: this.buildHheaTable(set),
+      hmtx: this.buildHmtxTable(set.glyphs),
+      loca,
+      maxp: this.buildMaxpTable(set.glyphs.length, maxPoints, maxContours),
+      name: this.buildNameTable(),
+      "OS/2": this.buildOS2Table(set),
+      post: this.buildPostTable(),
+    };
+    if (set.ligatures.length > 0) {
+      tables.GSUB = this.buildGsubTable(set.ligatures);
+    }
+    if (set.kerning.length > 0) {
+      tables.kern = this.buildKernTable(set.kerning);
+    }
+
+    return FontExporter.assembleFont(tables);
+  }
+
+  buildGlyfTable(glyphs) {
+    const glyf = new FontBinaryWriter();
+    const loca = new FontBinaryWriter();
+    let maxPoints = 0;
+    let maxContours = 0;
+
+    glyphs.forEach((glyph) => {
+      loca.uint32(glyf.length);
+      if (glyph.contours.length === 0) return;
+
+      const points = glyph.contours.flat().map((p) => ({
+        x: Math.round(p.x),
+        y: Math.round(p.y),
+        onCurve: p.onCurve,
+      }));
+      maxPoints = Math.max(maxPoints, points.length);
+      maxContours = Math.max(maxContours, glyph.contours.length);
+
+      const b = glyph.bounds;
+      glyf.int16(glyph.contours.length);
+      glyf.int16(Math.round(b.xMin));
+      glyf.int16(Math.round(b.yMin));
+      glyf.int16(Math.round(b.xMax));
+      glyf.int16(Math.round(b.yMax));
+
+      let end = -1;
+      glyph.contours.forEach((contour) => {
+        end += contour.length;
+        glyf.uint16(end);
+      });
+      glyf.uint16(0); // no instructions
+
+      // Flags with full 16-bit deltas keep the encoder simple
+      points.forEach((p) => glyf.uint8(p.onCurve ? 1 : 0));
+      let prev = 0;
+      points.forEach((p) => {
+        glyf.int16(p.x - prev);
+        prev = p.x;
+      });
+      prev = 0;
+      points.forEach((p) => {
+        glyf.int16(p.y - prev);
+        prev = p.y;
+      });
+      glyf.padTo(4);
+    });
+    loca.uint32(glyf.length);
+
+    return {
+      glyf: glyf.toBytes(),
+      loca: loca.toBytes(),
+      maxPoints,
+      maxContours,
+    };
+  }
+
+  buildCmapTable(glyphs) {
+    const mapped = glyphs
+      .map((glyph, index) => ({ code: glyph.unicode, index }))
+      .filter((entry) => entry.code !== undefined)
+      .sort((a, b) => a.code - b.code);
+
+    // Runs of consecutive code points with consecutive glyph ids share a segment
+    const segments = [];
+    mapped.forEach(({ code, index }) => {
+      const last = segments[segments.length - 1];
+      if (last && code === last.end + 1 && index - code === last.delta) {
+        last.end = code;
+      } else {
+        segments.push({ start: code, end: code, delta: index - code });
+      }
+    });
+    segments.push({ start: 0xffff, end: 0xffff, delta: 1 });
+
+    const segCount = segments.length;
+    const searchRange = 2 * 2 ** Math.floor(Math.log2(segCount));
+    const sub = new FontBinaryWriter();
+    sub.uint16(4);
+    sub.uint16(16 + segCount * 8);
+    sub.uint16(0);
+    sub.uint16(segCount * 2);
+    sub.uint16(searchRange);
+    sub.uint16(Math.log2(searchRange / 2));
+    sub.uint16(segCount * 2 - searchRange);
+    segments.forEach((s) => sub.uint16(s.end));
+    sub.uint16(0);
+    segments.forEach((s) => sub.uint16(s.start));
+    segments.forEach((s) => sub.uint16((s.delta + 0x10000) % 0x10000));
+    segments.forEach(() => sub.uint16(0));
+
+    const cmap = new FontBinaryWriter();
+    cmap.uint16(0);
+    cmap.uint16(2);
+    // Unicode BMP and Windows Unicode BMP share one subtable
+    cmap.uint16(0);
+    cmap.uint16(3);
+    cmap.uint32(20);
+    cmap.uint16(3);
+    cmap.uint16(1);
+    cmap.uint32(20);
+    cmap.bytes(sub.toBytes());
+    return cmap.toBytes();
+  }
+
+  buildHeadTable(glyphs) {
+    const bounds = FontExporter.mergeBounds(glyphs.map((g) => g.bounds));
+    const head = new FontBinaryWriter();
+    head.uint32(0x00010000);
+    head.uint32(0x00010000); // fontRevision 1.0
+    head.uint32(0); // checkSumAdjustment, patched in assembleFont
+    head.uint32(0x5f0f3cf5);
+    head.uint16(0x000b);
+    head.uint16(this.options.unitsPerEm);
+    const now = FontExporter.longDateTime(new Date());
+    head.longDateTime(now);
+    head.longDateTime(now);
+    head.int16(bounds.xMin);
+    head.int16(bounds.yMin);
+    head.int16(bounds.xMax);
+    head.int16(bounds.yMax);
+    head.uint16(0); // macStyle
+    head.uint16(8); // lowestRecPPEM
+    head.int16(2); // fontDirectionHint
+    head.int16(1); // long loca offsets
+    head.int16(0);
+    return head.toBytes();
+  }
+
+  buildHheaTable({ glyphs, metrics }) {
+    const extents = FontExporter.mergeBounds(glyphs.map((g) => g.bounds));
+    const outlined = glyphs.filter((g) => g.contours.length > 0);
+    const hhea = new FontBinaryWriter();
+    hhea.uint32(0x00010000);
+    hhea.int16(Math.max(extents.yMax, metrics.ascender));
+    hhea.int16(Math.min(extents.yMin, metrics.descender));
+    hhea.int16(0); // lineGap
+    hhea.uint16(Math.max(...glyphs.map((g) => g.advanceWidth)));
+    hhea.int16(Math.min(...outlined.map((g) => Math.round(g.bounds.xMin))));
+    hhea.int16(
+      Math.min(
+        ...outlined.map((g) => g.advanceWidth - Math.round(g.bounds.xMax)),
+      ),
+    );
+    hhea.int16(Math.max(...outlined.map((g) => Math.round(g.bounds.xMax))));
+    hhea.int16(1); // caretSlopeRise
+    hhea.int16(0); // caretSlopeRun
+    hhea.int16(0); // caretOffset
+    for (let i = 0; i < 4; i++) hhea.int16(0);
+    hhea.int16(0); // metricDataFormat
+    hhea.uint16(glyphs.length);
+    return hhea.toBytes();
+  }
+
+  buildHmtxTable(glyphs) {
+    const hmtx = new FontBinaryWriter();
+    glyphs.forEach((glyph) => {
+      hmtx.uint16(glyph.advanceWidth);
+      hmtx.int16(glyph.contours.length ? Math.round(glyph.bounds.xMin) : 0);
+    });
+    return hmtx.toBytes();
+  }
+
+  buildMaxpTable(numGlyphs, maxPoints, maxContours) {
+    const maxp = new FontBinaryWriter();
+    maxp.uint32(0x00010000);
+    maxp.uint16(numGlyphs);
+    maxp.uint16(maxPoints);
+    maxp.uint16(maxContours);
+    maxp.uint16(0); // maxCompositePoints
+    maxp.uint16(0); // maxCompositeContours
+    maxp.uint16(2); // maxZones
+    for (let i = 0; i < 8; i++) maxp.uint16(0);
+    return maxp.toBytes();
+  }
+
+  buildNameTable() {
+    const family = this.options.familyName;
+    const postScript = family.replace(/[^A-Za-z0-9-]/g, "") || "Handwriting";
+    const records = [
+      [1, family],
+      [2, "Regular"],
+      [3, `${postScript}-Regular-${Date.now()}`],
+      [4, `${family} Regular`],
+      [5, "Version 1.000"],
+      [6, `${postScript}-Regular`],
+    ];
+
+    const strings = new FontBinaryWriter();
+    const name = new FontBinaryWriter();
+    name.uint16(0);
+    name.uint16(records.length);
+    name.uint16(6 + records.length * 12);
+    records.forEach(([nameId, text]) => {
+      const offset = strings.length;
+      for (let i = 0; i < text.length; i++) {
+        strings.uint16(text.charCodeAt(i));
+      }
+      name.uint16(3); // Windows
+      name.uint16(1); // Unicode BMP
+      name.uint16(0x0409); // en-US
+      name.uint16(nameId);
+      name.uint16(strings.length - offset);
+      name.uint16(offset);
+    });
+    name.bytes(strings.toBytes());
+    return name.toBytes();
+  }
+
+  buildOS2Table({ glyphs, metrics }) {
+    const { unitsPerEm } = this.options;
+    const extents = FontExporter.mergeBounds(glyphs.map((g) => g.bounds));
+    const codes = glyphs
+      .map((g) => g.unicode)
+      .filter((code) => code !== undefined);
+    const widths = glyphs.filter((g) => g.advanceWidth > 0);
+    const avgWidth = Math.round(
+      widths.reduce((sum, g) => sum + g.advanceWidth, 0) / (widths.length || 1),
+    );
+    const maxContext = Math.max(
+      1,
+      ...glyphs.filter((g) => g.ligature).map((g) => [...g.ligature].length),
+    );
+
+    const os2 = new FontBinaryWriter();
+    os2.uint16(4);
+    os2.int16(avgWidth);
+    os2.uint16(400); // usWeightClass: regular
+    os2.uint16(5); // usWidthClass: medium
+    os2.uint16(0); // fsType: installable
+    const sub = Math.round(unitsPerEm * 0.65);
+    [sub, sub, 0, Math.round(unitsPerEm * 0.14)].forEach((v) => os2.int16(v));
+    [sub, sub, 0, Math.round(unitsPerEm * 0.48)].forEach((v) => os2.int16(v));
+    os2.int16(Math.round(unitsPerEm * 0.05)); // yStrikeoutSize
+    os2.int16(Math.round(metrics.xHeight / 2)); // yStrikeoutPosition
+    os2.int16(0); // sFamilyClass
+    os2.bytes([3, 0, 0, 0, 0, 0, 0, 0, 0, 0]); // panose: hand written
+    os2.uint32(1); // Basic Latin
+    os2.uint32(0);
+    os2.uint32(0);
+    os2.uint32(0);
+    os2.bytes([..."NONE"].map((c) => c.charCodeAt(0)));
+    os2.uint16(0x0040); // REGULAR
+    os2.uint16(Math.min(...codes));
+    os2.uint16(Math.max(...codes));
+    os2.int16(metrics.ascender);
+    os2.int16(metrics.descender);
+    os2.int16(0);
+    os2.uint16(Math.max(extents.yMax, metrics.ascender));
+    os2.uint16(Math.max(-extents.yMin, -metrics.descender));
+    os2.uint32(1); // Latin 1 code page
+    os2.uint32(0);
+    os2.int16(metrics.xHeight);
+    os2.int16(metrics.capHeight);
+    os2.uint16(0); // usDefaultChar
+    os2.uint16(32); // usBreakChar
+    os2.uint16(maxContext);
+    return os2.toBytes();
+  }
+
+  buildPostTable() {
+    const post = new FontBinaryWriter();
+    post.uint32(0x00030000); // no glyph names
+    post.uint32(0); // italicAngle
+    post.int16(-Math.round(this.options.unitsPerEm * 0.1));
+    post.int16(Math.round(this.options.unitsPerEm * 0.05));
+    post.uint32(0); // isFixedPitch
+    for (let i = 0; i < 4; i++) post.uint32(0);
+    return post.toBytes();
+  }
+
+  /**
+   * GSUB with a single "liga" feature mapping component sequences to ligature glyphs
+   * @param {Array} ligatures - [{components: [glyphId], glyph: glyphId}]
+   * @returns {Uint8Array}
+   */
+  buildGsubTable(ligatures) {
+    // Ligature sets keyed by first component, longest sequences first
+    const sets = new Map();
+    ligatures.forEach((ligature) => {
+      const first = ligature.components[0];
+      if (!sets.has(first)) sets.set(first, []);
+      sets.get(first).push(ligature);
+    });
+    const firstGlyphs = [...sets.keys()].sort((a, b) => a - b);
+
+    const subtable = new FontBinaryWriter();
+    const setTables = firstGlyphs.map((first) => {
+      const entries = sets
+        .get(first)
+        .sort((a, b) => b.components.length - a.components.length);
+      const set = new FontBinaryWriter();
+      set.uint16(entries.length);
+      let offset = 2 + entries.length * 2;
+      const bodies = entries.map((entry) => {
+        const lig = new FontBinaryWriter();
+        lig.uint16(entry.glyph);
+        lig.uint16(entry.components.length);
+        entry.components.slice(1).forEach((id) => lig.uint16(id));
+        return lig.toBytes();
+      });
+      bodies.forEach((body) => {
+        set.uint16(offset);
+        offset += body.length;
+      });
+      bodies.forEach((body) => set.bytes(body));
+      return set.toBytes();
+    });
+
+    const coverage = new FontBinaryWriter();
+    coverage.uint16(1);
+    coverage.uint16(firstGlyphs.length);
+    firstGlyphs.forEach((id) => coverage.uint16(id));
+    const coverageBytes = coverage.toBytes();
+
+    const headerSize = 6 + firstGlyphs.length * 2;
+    subtable.uint16(1);
+    subtable.uint16(headerSize);
+    subtable.uint16(firstGlyphs.length);
+    let offset = headerSize + coverageBytes.length;
+    setTables.forEach((set) => {
+      subtable.uint16(offset);
+      offset += set.length;
+    });
+    subtable.bytes(coverageBytes);
+    setTables.forEach((set) => subtable.bytes(set));
+
+    const lookupList = new FontBinaryWriter();
+    lookupList.uint16(1);
+    lookupList.uint16(4); // offset to the lookup
+    lookupList.uint16(4); // LookupType 4: ligature substitution
+    lookupList.uint16(0);
+    lookupList.uint16(1);
+    lookupList.uint16(8); // subtable offset from the lookup
+    lookupList.bytes(subtable.toBytes());
+
+    const featureList = new FontBinaryWriter();
+    featureList.uint16(1);
+    featureList.tag("liga");
+    featureList.uint16(8);
+    featureList.uint16(0); // featureParams
+    featureList.uint16(1);
+    featureList.uint16(0); // lookup index
+
+    // DFLT and latn scripts share one script table with a default LangSys
+    const scriptList = new FontBinaryWriter();
+    scriptList.uint16(2);
+    scriptList.tag("DFLT");
+    scriptList.uint16(14);
+    scriptList.tag("latn");
+    scriptList.uint16(14);
+    scriptList.uint16(4); // defaultLangSys offset
+    scriptList.uint16(0); // langSysCount
+    scriptList.uint16(0); // lookupOrder
+    scriptList.uint16(0xffff); // no required feature
+    scriptList.uint16(1);
+    scriptList.uint16(0); // feature index
+
+    const scripts = scriptList.toBytes();
+    const features = featureList.toBytes();
+    const gsub = new FontBinaryWriter();
+    gsub.uint16(1);
+    gsub.uint16(0);
+    gsub.uint16(10);
+    gsub.uint16(10 + scripts.length);
+    gsub.uint16(10 + scripts.length + features.length);
+    gsub.bytes(scripts);
+    gsub.bytes(features);
+    gsub.bytes(lookupList.toBytes());
+    return gsub.toBytes();
+  }
+
+  /**
+   * Legacy kern table with one format 0 subtable of glyph pairs
+   * @param {Array} kerning - [{left: glyphId, right: glyphId, value}]
+   * @returns {Uint8Array}
+   */
+  buildKernTable(kerning) {
+    const pairs = kerning
+      .slice()
+      .sort((a, b) => a.left - b.left || a.right - b.right);
+    const searchRange = 6 * 2 ** Math.floor(Math.log2(pairs.length));
+
+    const kern = new FontBinaryWriter();
+    kern.uint16(0); // version
+    kern.uint16(1); // nTables
+    kern.uint16(0); // subtable version
+    kern.uint16(14 + pairs.length * 6);
+    kern.uint16(0x0001); // horizontal, format 0
+    kern.uint16(pairs.length);
+    kern.uint16(searchRange);
+    kern.uint16(Math.log2(searchRange / 6));
+    kern.uint16(pairs.length * 6 - searchRange);
+    pairs.forEach(({ left, right, value }) => {
+      kern.uint16(left);
+      kern.uint16(right);
+      kern.int16(value);
+    });
+    return kern.toBytes();
+  }
+
+  /**
+   * Export an SVG font; multi-character glyphs are matched as ligatures natively
+   * @returns {string} SVG markup
+   */
+  exportSVGFont() {
+    const { glyphs, kerning, metrics } = this.buildGlyphSet();
+    const { unitsPerEm, familyName } = this.options;
+    const family = FontExporter.escapeXML(familyName);
+    const id = familyName.replace(/[^A-Za-z0-9-]/g, "") || "handwriting";
+
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg">\n`;
+    svg += `  <metadata>Generated by Handwriting SVG Generator</metadata>\n`;
+    svg += `  <defs>\n`;
+    svg += `    <font id="${id}" horiz-adv-x="${Math.round(unitsPerEm / 2)}">\n`;
+    svg += `      <font-face font-family="${family}" units-per-em="${unitsPerEm}" ascent="${metrics.ascender}" descent="${metrics.descender}" x-height="${metrics.xHeight}" cap-height="${metrics.capHeight}"/>\n`;
+
+    glyphs.forEach((glyph) => {
+      const d = glyph.contours
+        .map((contour) => FontExporter.contourToPathData(contour))
+        .join(" ");
+      const pathAttr = d ? ` d="${d}"` : "";
+
+      if (glyph.name === ".notdef") {
+        svg += `      <missing-glyph horiz-adv-x="${glyph.advanceWidth}"${pathAttr}/>\n`;
+        return;
+      }
+
+      const text = glyph.ligature ?? String.fromCodePoint(glyph.unicode);
+      svg += `      <glyph unicode="${FontExporter.escapeXML(text)}" glyph-name="${glyph.name}" horiz-adv-x="${glyph.advanceWidth}"${pathAttr}/>\n`;
+    });
+
+    // hkern moves the second glyph closer by k, the opposite sign of the kern table
+    kerning.forEach(({ left, right, value }) => {
+      svg += `      <hkern g1="${glyphs[left].name}" g2="${glyphs[right].name}" k="${-value}"/>\n`;
+    });
+
+    svg += `    </font>\n`;
+    svg += `  </defs>\n`;
+    svg += `</svg>`;
+    return svg;
+  }
+
+  /**
+   * Convert a quadratic contour (with implied on-curve points) to SVG path data
+   * @param {Array} contour - Points {x, y, onCurve}
+   * @returns {string} Path data
+   */
+  static contourToPathData(contour) {
+    const fmt = (v) => Math.round(v);
+    const n = contour.length;
+    const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+    // Start at an on-curve point (or an implied one if every point is off-curve)
+    let startIndex = contour.findIndex((p) => p.onCurve);
+    let start;
+    if (startIndex === -1) {
+      start = mid(contour[n - 1], contour[0]);
+      startIndex = n - 1;
+    } else {
+      start = contour[startIndex];
+    }
+
+    let d = `M ${fmt(start.x)} ${fmt(start.y)}`;
+    let control = null;
+    for (let step = 1; step <= n; step++) {
+      const point = contour[(startIndex + step) % n];
+      if (point.onCurve) {
+        d += control
+          ? ` Q ${fmt(control.x)} ${fmt(control.y)} ${fmt(point.x)} ${fmt(point.y)}`
+          : ` L ${fmt(point.x)} ${fmt(point.y)}`;
+        control = null;
+      } else if (control) {
+        const implied = mid(control, point);
+        d += ` Q ${fmt(control.x)} ${fmt(control.y)} ${fmt(implied.x)} ${fmt(implied.y)}`;
+        control = point;
+      } else {
+        control = point;
+      }
+    }
+    if (control) {
+      d += ` Q ${fmt(control.x)} ${fmt(control.y)} ${fmt(start.x)} ${fmt(start.y)}`;
+    }
+    return `${d} Z`;
+  }
+
+  /**
+   * Reverse a contour if needed so filled area winds clockwise (TrueType convention)
+   * Overlapping strokes then add up under the non-zero rule instead of cancelling.
+   * @param {Array} contour - Points {x, y, onCurve}
+   * @returns {Array} Clockwise contour
+   */
+  static orientClockwise(contour) {
+    let area = 0;
+    for (let i = 0; i < contour.length; i++) {
+      const a = contour[i];
+      const b = contour[(i + 1) % contour.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    // Positive area is counter-clockwise in y-up font space
+    return area > 0 ? contour.slice().reverse() : contour;
+  }
+
+  static contourBounds(contours) {
+    const bounds = {
+      xMin: Infinity,
+      yMin: Infinity,
+      xMax: -Infinity,
+      yMax: -Infinity,
+    };
+    contours.flat().forEach((p) => {
+      bounds.xMin = Math.min(bounds.xMin, Math.round(p.x));
+      bounds.yMin = Math.min(bounds.yMin, Math.round(p.y));
+      bounds.xMax = Math.max(bounds.xMax, Math.round(p.x));
+      bounds.yMax = Math.max(bounds.yMax, Math.round(p.y));
+    });
+    if (!isFinite(bounds.xMin)) {
+      return { xMin: 0, yMin: 0, xMax: 0, yMax: 0 };
+    }
+    return bounds;
+  }
+
+  static mergeBounds(list) {
+    const nonEmpty = list.filter((b) => b.xMax > b.xMin || b.yMax > b.yMin);
+    if (nonEmpty.length === 0) return { xMin: 0, yMin: 0, xMax: 0, yMax: 0 };
+    return {
+      xMin: Math.min(...nonEmpty.map((b) => b.xMin)),
+      yMin: Math.min(...nonEmpty.map((b) => b.yMin)),
+      xMax: Math.max(...nonEmpty.map((b) => b.xMax)),
+      yMax: Math.max(...nonEmpty.map((b) => b.yMax)),
+    };
+  }
+
+  static unit(to, from) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy) || 1;
+    return { x: dx / length, y: dy / length };
+  }
+
+  /**
+   * PostScript-style glyph name for a character
+   * @param {string} char - Single character
+   * @returns {string} Glyph name
+   */
+  static glyphName(char) {
+    if (/^[A-Za-z0-9]$/.test(char)) return char;
+    const hex = char.codePointAt(0).toString(16).toUpperCase();
+    return `uni${hex.padStart(4, "0")}`;
+  }
+
+  static escapeXML(value) {
+    return value
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Seconds since 1904-01-01, the epoch used by the head table
+   * @param {Date} date - Date to convert
+   * @returns {number}
+   */
+  static longDateTime(date) {
+    return Math.floor(date.getTime() / 1000) + 2082844800;
+  }
+
+  /**
+   * Write the table directory, table data and the head checksum adjustment
+   * @param {Object} tables - Map of tag → Uint8Array
+   * @returns {Uint8Array} Font bytes
+   */
+  static assembleFont(tables) {
+    const tags = Object.keys(tables).sort();
+    const numTables = tags.length;
+    const searchRange = 2 ** Math.floor(Math.log2(numTables)) * 16;
+
+    const font = new FontBinaryWriter();
+    font.uint32(0x00010000);
+    font.uint16(numTables);
+    font.uint16(searchRange);
+    font.uint16(Math.log2(searchRange / 16));
+    font.uint16(numTables * 16 - searchRange);
+
+    let offset = 12 + numTables * 16;
+    const offsets = {};
+    tags.forEach((tag) => {
+      const data = tables[tag];
+      offsets[tag] = offset;
+      font.tag(tag);
+      font.uint32(FontExporter.checksum(data));
+      font.uint32(offset);
+      font.uint32(data.length);
+      offset += Math.ceil(data.length / 4) * 4;
+    });
+    tags.forEach((tag) => {
+      font.bytes(tables[tag]);
+      font.padTo(4);
+    });
+
+    const bytes = font.toBytes();
+    const adjustment = (0xb1b0afba - FontExporter.checksum(bytes)) >>> 0;
+    new DataView(bytes.buffer).setUint32(offsets.head + 8, adjustment);
+    return bytes;
+  }
+
+  static checksum(bytes) {
+    let sum = 0;
+    for (let i = 0; i < bytes.length; i += 4) {
+      const word =
+        ((bytes[i] << 24) |
+          ((bytes[i + 1] || 0) << 16) |
+          ((bytes[i + 2] || 0) << 8) |
+          (bytes[i + 3] || 0)) >>>
+        0;
+      sum = (sum + word) >>> 0;
+    }
+    return sum;
+  }
+}
+
+/**
+ * Big-endian byte writer for font tables
+ */
+class FontBinaryWriter {
+  constructor() {
+    this.data = [];
+  }
+
+  get length() {
+    return this.data.length;
+  }
+
+  uint8(value) {
+    this.data.push(value & 0xff);
+  }
+
+  uint16(value) {
+    this.data.push((value >> 8) & 0xff, value & 0xff);
+  }
+
+  int16(value) {
+    this.uint16(value < 0 ? value + 0x10000 : value);
+  }
+
+  uint32(value) {
+    this.data.push(
+      (value >>> 24) & 0xff,
+      (value >>> 16) & 0xff,
+      (value >>> 8) & 0xff,
+      value & 0xff,
+    );
+  }
+
+  longDateTime(seconds) {
+    this.uint32(Math.floor(seconds / 4294967296));
+    this.uint32(seconds >>> 0);
+  }
+
+  tag(text) {
+    for (let i = 0; i < 4; i++) {
+      this.uint8(text.charCodeAt(i) || 32);
+    }
+  }
+
+  bytes(values) {
+    for (let i = 0; i < values.length; i++) {
+      this.data.push(values[i]);
+    }
+  }
+
+  padTo(alignment) {
+    while (this.data.length % alignment !== 0) {
+      this.data.push(0);
+    }
+  }
+
+  toBytes() {
+    return Uint8Array.from(this.data);
+  }
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.FontExporter = FontExporter;
+}
@@ -0,0 +1,353 @@
+/**
+ * Font Library
+ * Keeps several named handwriting profiles; the index lives in localStorage
+ * and the fonts in FontStorage
+ */
+
+const LIBRARY_KEY = "handwritingLibrary";
+const LEGACY_FONT_KEY = "handwritingData";
+const DEFAULT_PROFILE_NAME = "My Handwriting";
+
+class FontLibrary {
+  constructor() {
+    this.profiles = [];
+    this.activeId = null;
+    this.storage = new FontStorage();
+    // Called with an Error when a save fails and with null once one succeeds
+    this.onSaveStatus = null;
+    // Called with an Error while other tabs keep storage from opening, null once open
+    this.onBlocked = null;
+  }
+
+  /**
+   * Open storage and read the library index, creating it on first use
+   * A font saved by older versions under the single legacy key becomes the
+   * first profile.
+   * @returns {Promise}
+   */
+  async load() {
+    await this.storage.open((error) => this.onBlocked?.(error));
+    try {
+      const index = JSON.parse(localStorage.getItem(LIBRARY_KEY));
+      if (Array.isArray(index?.profiles) && index.profiles.length > 0) {
+        this.profiles = index.profiles;
+        this.activeId = this.getProfile(index.activeId)
+          ? index.activeId
+          : this.profiles[0].id;
+        return;
+      }
+    } catch (error) {
+      console.error("Error loading font library:", error);
+    }
+
+    const profile = this.createProfile(DEFAULT_PROFILE_NAME);
+    const legacy = new FontData();
+    if (
+      legacy.loadFromLocalStorage(LEGACY_FONT_KEY) &&
+      (await this.saveFont(legacy, profile.id))
+    ) {
+      localStorage.removeItem(LEGACY_FONT_KEY);
+    }
+    this.setActive(profile.id);
+  }
+
+  saveIndex() {
+    try {
+      FontStorage.setLocalItem(
+        LIBRARY_KEY,
+        JSON.stringify({ activeId: this.activeId, profiles: this.profiles }),
+      );
+      return true;
+    } catch (error) {
+      this.reportSave(error);
+      return false;
+    }
+  }
+
+  /**
+   * Log a failed save and tell the page, or clear an earlier failure
+   * @param {Error|null} error - Save error, or null after a successful save
+   */
+  reportSave(error) {
+    if (error) {
+      console.error("Error saving handwriting data:", error);
+    }
+    this.onSaveStatus?.(error);
+  }
+
+  /**
+   * @returns {Array} Profiles {id, name, created, modified} in creation order
+   */
+  getProfiles() {
+    return this.profiles.map((profile) => ({ ...profile }));
+  }
+
+  getProfile(id) {
+    return this.profiles.find((profile) => profile.id === id) || null;
+  }
+
+  /**
+   * Find a profile by name, ignoring case and surrounding whitespace
+   * @param {string} name - Profile name
+   * @returns {Object|null} Profile or null
+   */
+  findByName(name) {
+    const wanted = name.trim().toLowerCase();
+    return (
+      this.profiles.find((profile) => profile.name.toLowerCase() === wanted) ||
+      null
+    );
+  }
+
+  getActiveProfile() {
+    return this.getProfile(this.activeId);
+  }
+
+  setActive(id) {
+    if (!this.getProfile(id)) {
+      throw new Error("Unknown profile");
+    }
+    this.activeId = id;
+    this.saveIndex();
+  }
+
+  /**
+   * Add an empty profile
+   * @param {string} name - Unique profile name
+   * @returns {Object} New profile
+   */
+  createProfile(name) {
+    const now = new Date().toISOString();
+    const profile = {
+      id: FontLibrary.generateId(),
+      name: this.validateName(name),
+      created: now,
+      modified: now,
+    };
+    this.profiles.push(profile);
+    this.saveIndex();
+    return { ...profile };
+  }
+
+  renameProfile(id, name) {
+    const profile = this.getProfile(id);
+    if (!profile) {
+      throw new Error("Unknown profile");
+    }
+    profile.name = this.validateName(name, id);
+    this.saveIndex();
+  }
+
+  /**
+   * Copy a profile's font into a new profile
+   * @param {string} id - Profile to copy
+   * @param {string} name - Name of the copy
+   * @returns {Promise<Object>} New profile
+   */
+  async duplicateProfile(id, name) {
+    const source = await this.loadFont(id);
+    const profile = this.createProfile(name);
+    await this.saveFont(source, profile.id);
+    return profile;
+  }
+
+  /**
+   * Delete a profile, its font and its snapshots; the library never ends up empty
+   * @param {string} id - Profile to delete
+   * @returns {Promise}
+   */
+  async deleteProfile(id) {
+    this.profiles = this.profiles.filter((profile) => profile.id !== id);
+    await this.storage.deleteFont(id);
+
+    if (this.profiles.length === 0) {
+      this.createProfile(DEFAULT_PROFILE_NAME);
+    }
+    if (this.activeId === id || !this.getActiveProfile()) {
+      this.activeId = this.profiles[0].id;
+    }
+    this.saveIndex();
+  }
+
+  /**
+   * Load a profile's font
+   * @param {string} [id] - Profile id (default: active profile)
+   * @returns {Promise<FontData>} Font (empty when nothing was saved yet)
+   */
+  loadFont(id = this.activeId) {
+    return this.storage.loadFont(id);
+  }
+
+  /**
+   * Save a whole font into a profile
+   * Failures are reported through onSaveStatus rather than thrown.
+   * @param {FontData} fontData - Font to save
+   * @param {string} [id] - Profile id (default: active profile)
+   * @returns {Promise<boolean>} Success status
+   */
+  saveFont(fontData, id = this.activeId) {
+    return this.save(id, () => this.storage.saveFont(id, fontData));
+  }
+
+  /**
+   * Save one edited character of a profile's font
+   * @param {FontData} fontData - Font holding the character
+   * @param {string} char - Character that changed
+   * @param {string} [id] - Profile id (default: active profile)
+   * @returns {Promise<boolean>} Success status
+   */
+  saveCharacter(fontData, char, id = this.activeId) {
+    return this.save(id, () => this.storage.saveCharacter(id, fontData, char));
+  }
+
+  /**
+   * Save a profile's manual spacing after an edit
+   * @param {FontData} fontData - Font holding the spacing
+   * @param {string} [id] - Profile id (default: active profile)
+   * @returns {Promise<boolean>} Success status
+   */
+  saveSpacing(fontData, id = this.activeId) {
+    return this.save(id, () => this.storage.saveFontInfo(id, fontData));
+  }
+
+  async save(id, write) {
+    const profile = this.getProfile(id);
+    if (!profile) return false;
+
+    try {
+      await write();
+    } catch (error) {
+      this.reportSave(error);
+      return false;
+    }
+    profile.modified = new Date().toISOString();
+    if (!this.saveIndex()) return false;
+    this.reportSave(null);
+    return true;
+  }
+
+  /**
+   * Store a timestamped snapshot of a profile's font
+   * @param {FontData} fontData - Font to copy
+   * @param {string} label - Why the snapshot was taken
+   * @param {string} [id] - Profile id (default: active profile)
+   * @returns {Promise<boolean>} Success status
+   */
+  async createSnapshot(fontData, label, id = this.activeId) {
+    try {
+      await this.storage.createSnapshot(id, fontData, label);
+      return true;
+    } catch (error) {
+      this.reportSave(error);
+      return false;
+    }
+  }
+
+  /**
+   * Snapshot a profile's font as it is stored, before overwriting it
+   * Failures are reported through onSaveStatus, so the overwrite can go ahead.
+   * @param {string} label - Why the snapshot was taken
+   * @param {string} [id] - Profile id (default: active profile)
+   * @returns {Promise<boolean>} Success status
+   */
+  async snapshotStored(label, id = this.activeId) {
+    let stored;
+    try {
+      stored = await this.loadFont(id);
+    } catch (error) {
+      this.reportSave(error);
+      return false;
+    }
+    return this.createSnapshot(stored, label, id);
+  }
+
+  /**
+   * @param {string} [id] - Profile id (default: active profile)
+   * @returns {Promise<Array>} Snapshots {id, created, label, capturedCount}, newest first
+   */
+  listSnapshots(id = this.activeId) {
+    return this.storage.listSnapshots(id);
+  }
+
+  /**
+   * Put a snapshot back as the profile's font
+   * The current font is snapshotted first so the restore can be undone.
+   * @param {number} snapshotId - Snapshot id from listSnapshots
+   * @param {string} [id] - Profile id (default: active profile)
+   * @returns {Promise<FontData|null>} Restored font, or null when saving failed
+   */
+  async restoreSnapshot(snapshotId, id = this.activeId) {
+    const restored = await this.storage.loadSnapshot(id, snapshotId);
+    await this.snapshotStored("Before restore", id);
+    return (await this.saveFont(restored, id)) ? restored : null;
+  }
+
+  /**
+   * Keep the previous version of a glyph before it is replaced or deleted
+   * @param {string} char - Character the glyph belongs to
+   * @param {number} variant - Variant index of the glyph
+   * @param {Object} glyph - Glyph record being replaced
+   * @param {string} [id] - Profile id (default: active profile)
+   * @returns {Promise<boolean>} Success status
+   */
+  async addRevision(char, variant, glyph, id = this.activeId) {
+    try {
+      await this.storage.addRevision(id, char, variant, glyph);
+      return true;
+    } catch (error) {
+      this.reportSave(error);
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} char - Character
+   * @param {string} [id] - Profile id (default: active profile)
+   * @returns {Promise<Array>} Revisions {id, char, variant, saved, glyph}, newest first
+   */
+  listRevisions(char, id = this.activeId) {
+    return this.storage.listRevisions(id, char);
+  }
+
+  /**
+   * Load every profile's font, keyed by profile name
+   * @returns {Promise<Object>} {name: FontData}
+   */
+  async loadAllFonts() {
+    const fonts = {};
+    for (const profile of this.profiles) {
+      fonts[profile.name] = await this.loadFont(profile.id);
+    }
+    return fonts;
+  }
+
+  /**
+   * Check a profile name for use
+   * @param {string} name - Requested name
+   * @param {string} [ownId] - Profile being renamed (may keep its own name)
+   * @returns {string} Trimmed name
+   */
+  validateName(name, ownId = null) {
+    const trimmed = (name || "").trim();
+    if (!trimmed) {
+      throw new Error("Profile name cannot be empty");
+    }
+    if (/[{}]/.test(trimmed)) {
+      throw new Error("Profile names cannot contain { or }");
+    }
+    const existing = this.findByName(trimmed);
+    if (existing && existing.id !== ownId) {
+      throw new Error(`A profile named "${existing.name}" already exists`);
+    }
+    return trimmed;
+  }
+
+  static generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.FontLibrary = FontLibrary;
+}
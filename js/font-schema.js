@@ -0,0 +1,453 @@
+/**
+ * Font Schema
+ * Validates, migrates and repairs handwriting font files
+ * The format is described in docs/font-format.schema.json.
+ */
+
+const FONT_FORMAT_VERSION = "1.1";
+
+// Ordered upgrades; each step takes data in version `from` to version `to`
+const FONT_MIGRATIONS = [
+  {
+    from: "1.0",
+    to: "1.1",
+    // 1.0 stored one glyph per character, 1.1 stores a list of variants
+    migrate(data) {
+      const characters = {};
+      Object.entries(data.characters).forEach(([char, entry]) => {
+        if (Array.isArray(entry?.variants)) {
+          characters[char] = entry;
+        } else if (entry) {
+          characters[char] = { variants: [entry] };
+        }
+      });
+      return { ...data, characters };
+    },
+  },
+];
+
+class FontSchema {
+  static get FORMAT_VERSION() {
+    return FONT_FORMAT_VERSION;
+  }
+
+  /**
+   * Validate font data, upgrading and repairing it where possible
+   * Throws only when the file is not a font at all; problems with single
+   * glyphs are repaired or the glyph is dropped, and reported either way.
+   * @param {Object} data - Parsed font JSON
+   * @returns {Object} {characters, spacing, report} where report is
+   *   {fromVersion, migrated, issues: [{char, variant, level, message}]}
+   */
+  static validate(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("Invalid data structure: expected a JSON object");
+    }
+    if (
+      !data.characters ||
+      typeof data.characters !== "object" ||
+      Array.isArray(data.characters)
+    ) {
+      throw new Error("Invalid data structure: missing characters object");
+    }
+
+    const fromVersion = FontSchema.getVersion(data);
+    const issues = [];
+    if (FontSchema.compareVersions(fromVersion, FONT_FORMAT_VERSION) > 0) {
+      issues.push({
+        char: null,
+        variant: null,
+        level: "warning",
+        message: `File version ${fromVersion} is newer than ${FONT_FORMAT_VERSION}; unknown fields are ignored`,
+      });
+    }
+
+    const migrated = FontSchema.migrate(data, fromVersion);
+    const fallbackMetrics = FontSchema.findCommonMetrics(migrated.characters);
+    const characters = {};
+
+    Object.entries(migrated.characters).forEach(([char, entry]) => {
+      const report = (variant, level, message) =>
+        issues.push({ char, variant, level, message });
+
+      if (!char) {
+        report(null, "error", "Empty character key, entry dropped");
+        return;
+      }
+      if (!Array.isArray(entry?.variants)) {
+        report(null, "error", "Missing variants list, entry dropped");
+        return;
+      }
+
+      const variants = [];
+      entry.variants.forEach((glyph, index) => {
+        const repaired = FontSchema.repairGlyph(
+          glyph,
+          fallbackMetrics,
+          (level, message) => report(index, level, message),
+        );
+        if (repaired) variants.push(repaired);
+      });
+
+      if (variants.length > 0) {
+        characters[char] = { ...entry, variants };
+      } else {
+        report(null, "error", "No usable variants, character dropped");
+      }
+    });
+
+    return {
+      characters,
+      spacing: FontSchema.repairSpacing(migrated.spacing, (char, message) =>
+        issues.push({ char, variant: null, level: "warning", message }),
+      ),
+      report: {
+        fromVersion,
+        migrated: fromVersion !== migrated.metadata?.version,
+        issues,
+      },
+    };
+  }
+
+  /**
+   * Read the format version, treating unversioned files as 1.0
+   * @param {Object} data - Parsed font JSON
+   * @returns {string} Version string
+   */
+  static getVersion(data) {
+    const version = data.metadata?.version;
+    return typeof version === "string" && /^\d+(\.\d+)*$/.test(version)
+      ? version
+      : "1.0";
+  }
+
+  /**
+   * Apply every migration from the given version up to the current one
+   * @param {Object} data - Parsed font JSON
+   * @param {string} fromVersion - Version the data is in
+   * @returns {Object} Data in the current format (metadata.version updated)
+   */
+  static migrate(data, fromVersion) {
+    let result = data;
+    let version = fromVersion;
+
+    FONT_MIGRATIONS.forEach((step) => {
+      if (FontSchema.compareVersions(version, step.to) < 0) {
+        result = step.migrate(result);
+        version = step.to;
+      }
+    });
+
+    return { ...result, metadata: { ...result.metadata, version } };
+  }
+
+  /**
+   * Compare dotted version strings
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {number} Negative, zero or positive like a sort comparator
+   */
+  static compareVersions(a, b) {
+    const partsA = a.split(".").map(Number);
+    const partsB = b.split(".").map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const diff = (partsA[i] || 0) - (partsB[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+
+  /**
+   * Check one glyph and repair what can be repaired
+   * @param {Object} glyph - Glyph record from the file
+   * @param {Object|null} fallbackMetrics - Metrics to use when the glyph's are unusable
+   * @param {Function} report - (level, message) callback for each problem
+   * @returns {Object|null} Repaired glyph, or null when nothing drawable is left
+   */
+  static repairGlyph(glyph, fallbackMetrics, report) {
+    if (!glyph || typeof glyph !== "object") {
+      report("error", "Glyph is not an object, dropped");
+      return null;
+    }
+    if (!Array.isArray(glyph.strokes)) {
+      report("error", "Missing strokes, glyph dropped");
+      return null;
+    }
+
+    // Strokes: keep finite points, drop strokes that end up empty
+    let droppedPoints = 0;
+    let droppedStrokes = 0;
+    let fixedPressure = 0;
+    const strokes = [];
+    glyph.strokes.forEach((stroke) => {
+      const points = Array.isArray(stroke) ? stroke : stroke?.points;
+      if (!Array.isArray(points)) {
+        droppedStrokes++;
+        return;
+      }
+
+      const cleanPoints = [];
+      points.forEach((point) => {
+        const x = point?.x;
+        const y = point?.y;
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+          droppedPoints++;
+          return;
+        }
+        const { pressure, timestamp } = point;
+        const validPressure = Number.isFinite(pressure) && pressure >= 0;
+        if (!validPressure && pressure !== undefined) fixedPressure++;
+        cleanPoints.push({
+          ...point,
+          x,
+          y,
+          pressure: validPressure ? Math.min(1, pressure) : 0.5,
+          timestamp: Number.isFinite(timestamp) ? timestamp : 0,
+        });
+      });
+
+      if (cleanPoints.length === 0) {
+        droppedStrokes++;
+        return;
+      }
+      const base = Array.isArray(stroke) ? {} : stroke;
+      strokes.push({ ...base, points: cleanPoints });
+    });
+
+    if (droppedPoints > 0) {
+      report(
+        "repaired",
+        `Removed ${droppedPoints} point(s) with invalid coordinates`,
+      );
+    }
+    if (droppedStrokes > 0) {
+      report(
+        "repaired",
+        `Removed ${droppedStrokes} empty or malformed stroke(s)`,
+      );
+    }
+    if (fixedPressure > 0) {
+      report("repaired", `Reset ${fixedPressure} invalid pressure value(s)`);
+    }
+    if (strokes.length === 0) {
+      report("error", "No drawable strokes, glyph dropped");
+      return null;
+    }
+
+    // Bounds are always derivable from the strokes
+    let bounds = glyph.bounds;
+    if (!FontSchema.isValidBounds(bounds)) {
+      bounds = StrokeProcessor.calculateBounds(strokes);
+      report(
+        "repaired",
+        glyph.bounds
+          ? "Recomputed invalid bounds"
+          : "Recomputed missing bounds",
+      );
+    }
+
+    // Metrics place the glyph on the baseline; borrow them from the rest of the font
+    let metrics = glyph.metrics ?? null;
+    if (metrics !== null && !FontSchema.isValidMetrics(metrics)) {
+      report(
+        "repaired",
+        fallbackMetrics
+          ? "Replaced invalid metrics with the font's common metrics"
+          : "Removed invalid metrics, default baseline used",
+      );
+      metrics = fallbackMetrics;
+    } else if (metrics === null && fallbackMetrics) {
+      report(
+        "repaired",
+        "Added missing metrics from the font's common metrics",
+      );
+      metrics = fallbackMetrics;
+    }
+
+    let baseline = glyph.baseline;
+    if (!Number.isFinite(baseline)) {
+      baseline = metrics ? metrics.baseline : bounds.maxY;
+      report("repaired", "Replaced missing baseline");
+    }
+
+    // Connectors are re-extracted at render time, so invalid ones can simply go
+    let connectors = glyph.connectors ?? null;
+    if (connectors !== null && !FontSchema.isValidConnectors(connectors)) {
+      report("repaired", "Removed invalid connectors");
+      connectors = null;
+    }
+
+    // Marks without a usable anchor use the default one; glyphs without an advance use their ink width
+    const { anchor, advance, ...rest } = glyph;
+    const repaired = {
+      ...rest,
+      strokes,
+      bounds,
+      baseline,
+      metrics,
+      connectors,
+    };
+    if (Number.isFinite(anchor?.x) && Number.isFinite(anchor?.y)) {
+      repaired.anchor = anchor;
+    } else if (anchor !== undefined && anchor !== null) {
+      report("repaired", "Removed invalid anchor");
+    }
+    if (Number.isFinite(advance) && advance >= 0) {
+      repaired.advance = advance;
+    } else if (advance !== undefined && advance !== null) {
+      report("repaired", "Removed invalid advance width");
+    }
+    return repaired;
+  }
+
+  static isValidBounds(bounds) {
+    return (
+      !!bounds &&
+      ["minX", "minY", "maxX", "maxY", "width", "height"].every((key) =>
+        Number.isFinite(bounds[key]),
+      ) &&
+      bounds.maxX >= bounds.minX &&
+      bounds.maxY >= bounds.minY
+    );
+  }
+
+  static isValidMetrics(metrics) {
+    return (
+      !!metrics &&
+      ["ascender", "baseline", "descender", "emHeight"].every((key) =>
+        Number.isFinite(metrics[key]),
+      ) &&
+      metrics.emHeight > 0
+    );
+  }
+
+  static isValidConnectors(connectors) {
+    const isPoint = (point) =>
+      point === null ||
+      (Number.isFinite(point?.x) && Number.isFinite(point?.y));
+    return (
+      isPoint(connectors.entry ?? null) && isPoint(connectors.exit ?? null)
+    );
+  }
+
+  /**
+   * Keep the usable part of the manual spacing block
+   * @param {Object} [spacing] - {kerning, sideBearings} from the file
+   * @param {Function} report - (char, message) for every dropped value
+   * @returns {Object} {kerning: {first: {second: em}}, sideBearings: {char: {left, right}}}
+   */
+  static repairSpacing(spacing, report) {
+    const result = { kerning: {}, sideBearings: {} };
+    const isObject = (value) =>
+      value !== null && typeof value === "object" && !Array.isArray(value);
+    if (spacing === undefined) return result;
+    if (!isObject(spacing)) {
+      report(null, "Spacing is not an object, ignored");
+      return result;
+    }
+
+    Object.entries(isObject(spacing.kerning) ? spacing.kerning : {}).forEach(
+      ([first, pairs]) => {
+        Object.entries(isObject(pairs) ? pairs : {}).forEach(
+          ([second, value]) => {
+            if (Number.isFinite(value)) {
+              result.kerning[first] ??= {};
+              result.kerning[first][second] = value;
+            } else {
+              report(first, `Invalid kerning for "${first}${second}", ignored`);
+            }
+          },
+        );
+      },
+    );
+
+    Object.entries(
+      isObject(spacing.sideBearings) ? spacing.sideBearings : {},
+    ).forEach(([char, bearings]) => {
+      const left = bearings?.left ?? 0;
+      const right = bearings?.right ?? 0;
+      if (Number.isFinite(left) && Number.isFinite(right)) {
+        result.sideBearings[char] = { left, right };
+      } else {
+        report(char, "Invalid side bearings, ignored");
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Find the metrics most glyphs share (all glyphs captured on one canvas agree)
+   * @param {Object} characters - Characters in the current format
+   * @returns {Object|null} Most common valid metrics
+   */
+  static findCommonMetrics(characters) {
+    const counts = new Map();
+    Object.values(characters).forEach((entry) => {
+      if (!Array.isArray(entry?.variants)) return;
+      entry.variants.forEach((glyph) => {
+        if (!FontSchema.isValidMetrics(glyph?.metrics)) return;
+        const key = JSON.stringify(glyph.metrics);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    });
+
+    let best = null;
+    let bestCount = 0;
+    counts.forEach((count, key) => {
+      if (count > bestCount) {
+        best = key;
+        bestCount = count;
+      }
+    });
+    return best ? JSON.parse(best) : null;
+  }
+
+  /**
+   * Summarize an import report for display
+   * @param {Object} report - Report from validate
+   * @param {number} [limit=12] - Maximum number of issue lines
+   * @returns {string} Human readable summary (empty when there is nothing to say)
+   */
+  static formatReport(report, limit = 12) {
+    if (!report) return "";
+    const lines = [];
+
+    if (report.migrated) {
+      lines.push(
+        `Upgraded from format ${report.fromVersion} to ${FONT_FORMAT_VERSION}.`,
+      );
+    }
+
+    const repaired = report.issues.filter((i) => i.level === "repaired");
+    const errors = report.issues.filter((i) => i.level === "error");
+    if (repaired.length > 0 || errors.length > 0) {
+      lines.push(
+        `${repaired.length} repair(s), ${errors.length} glyph error(s):`,
+      );
+    }
+
+    report.issues.slice(0, limit).forEach((issue) => {
+      const where =
+        issue.char === null
+          ? "File"
+          : `"${issue.char}"` +
+            (issue.variant === null ? "" : ` variant ${issue.variant + 1}`);
+      lines.push(`• ${where}: ${issue.message}`);
+    });
+    if (report.issues.length > limit) {
+      lines.push(`…and ${report.issues.length - limit} more (see console)`);
+    }
+
+    return lines.join("\n");
+  }
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.FontSchema = FontSchema;
+}
+
+// Export for Node.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FontSchema;
+}
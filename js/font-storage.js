@@ -0,0 +1,538 @@
+/**
+ * Font Storage
+ * Persists profile fonts in IndexedDB, one record per character, with
+ * timestamped snapshots and per-glyph revisions. Falls back to localStorage
+ * when IndexedDB is missing.
+ */
+
+const DB_NAME = "handwritingSVG";
+const DB_VERSION = 2;
+const PROFILE_KEY_PREFIX = "handwritingProfile:";
+const SNAPSHOT_KEY_PREFIX = "handwritingSnapshots:";
+const MAX_SNAPSHOTS = 20; // per profile, oldest are pruned first
+const MAX_FALLBACK_SNAPSHOTS = 3; // localStorage has far less room
+const MAX_REVISIONS = 20; // per character
+
+class FontStorage {
+  constructor() {
+    this.db = null;
+    // Without IndexedDB revisions are kept for the session only
+    this.memoryRevisions = [];
+    this.nextMemoryRevision = 1;
+  }
+
+  /**
+   * Open the database, or settle for localStorage when that fails
+   * While another tab holds an older version open the upgrade waits for it to
+   * close instead of falling back, so a profile is never split across backends.
+   * @param {Function} [onBlocked] - Called with an Error while the upgrade waits
+   *   and with null once the database is open
+   * @returns {Promise<string>} Backend in use: "indexedDB" or "localStorage"
+   */
+  async open(onBlocked) {
+    try {
+      this.db = await FontStorage.openDatabase(onBlocked);
+    } catch (error) {
+      console.warn("IndexedDB unavailable, using localStorage:", error);
+      this.db = null;
+    }
+    return this.getBackend();
+  }
+
+  getBackend() {
+    return this.db ? "indexedDB" : "localStorage";
+  }
+
+  static openDatabase(onBlocked) {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not supported"));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const glyphs = db.createObjectStore("glyphs", {
+            keyPath: ["profileId", "char"],
+          });
+          glyphs.createIndex("profileId", "profileId");
+          db.createObjectStore("fonts", { keyPath: "profileId" });
+          const snapshots = db.createObjectStore("snapshots", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          snapshots.createIndex("profileId", "profileId");
+        }
+        if (event.oldVersion < 2) {
+          const revisions = db.createObjectStore("revisions", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          revisions.createIndex("profileId", "profileId");
+          revisions.createIndex("glyph", ["profileId", "char"]);
+        }
+      };
+      let blocked = false;
+      request.onsuccess = () => {
+        const db = request.result;
+        // Step aside when a newer version of the page upgrades the database
+        db.onversionchange = () => db.close();
+        if (blocked) onBlocked?.(null);
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => {
+        blocked = true;
+        onBlocked?.(
+          new Error(
+            "Your fonts are open in another tab of an older version. Close the other tabs to continue.",
+          ),
+        );
+      };
+    });
+  }
+
+  /**
+   * Run work inside one transaction
+   * @param {Array} storeNames - Object stores to use
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} work - (stores) => value; may queue requests on the stores
+   * @returns {Promise} Resolves with the work's value once the transaction commits
+   */
+  transaction(storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+      let tx;
+      try {
+        tx = this.db.transaction(storeNames, mode);
+      } catch (error) {
+        reject(FontStorage.describeError(error));
+        return;
+      }
+      const stores = {};
+      storeNames.forEach((name) => {
+        stores[name] = tx.objectStore(name);
+      });
+
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(FontStorage.describeError(tx.error));
+      tx.onabort = () =>
+        reject(
+          FontStorage.describeError(tx.error || new Error("Save aborted")),
+        );
+      try {
+        result = work(stores);
+      } catch (error) {
+        tx.abort();
+        reject(error);
+      }
+    });
+  }
+
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Turn storage errors into messages a user can act on
+   * @param {Error|DOMException} error - Original error
+   * @returns {Error} Error with a readable message
+   */
+  static describeError(error) {
+    if (error?.name === "InvalidStateError") {
+      return new Error(
+        "The fonts were upgraded by a newer version of the page in another tab. Reload this page.",
+      );
+    }
+    if (error?.name === "QuotaExceededError") {
+      return new Error(
+        "Browser storage is full. Export your data as JSON and delete unused profiles or snapshots.",
+      );
+    }
+    return error instanceof Error
+      ? error
+      : new Error(error?.message || String(error));
+  }
+
+  /**
+   * Load a profile's font
+   * Fonts saved under the old per-profile localStorage key move into the
+   * database on first load.
+   * @param {string} profileId - Profile id
+   * @returns {Promise<FontData>} Font (empty when nothing was saved yet)
+   */
+  async loadFont(profileId) {
+    const fontData = new FontData();
+    if (!this.db) {
+      fontData.loadFromLocalStorage(PROFILE_KEY_PREFIX + profileId);
+      return fontData;
+    }
+
+    const { records, meta } = await this.transaction(
+      ["glyphs", "fonts"],
+      "readonly",
+      (stores) => {
+        const loaded = {};
+        FontStorage.request(
+          stores.glyphs.index("profileId").getAll(profileId),
+        ).then((value) => {
+          loaded.records = value;
+        });
+        FontStorage.request(stores.fonts.get(profileId)).then((value) => {
+          loaded.meta = value;
+        });
+        return loaded;
+      },
+    );
+
+    if (!meta && records.length === 0) {
+      if (fontData.loadFromLocalStorage(PROFILE_KEY_PREFIX + profileId)) {
+        await this.saveFont(profileId, fontData);
+        localStorage.removeItem(PROFILE_KEY_PREFIX + profileId);
+      }
+      return fontData;
+    }
+
+    const characters = {};
+    records.forEach((record) => {
+      characters[record.char] = { variants: record.variants };
+    });
+    fontData.replaceWith(
+      FontData.parseJSON(
+        JSON.stringify({
+          metadata: meta?.metadata,
+          characters,
+          spacing: meta?.spacing,
+        }),
+      ),
+    );
+    return fontData;
+  }
+
+  /**
+   * Save every character of a font, replacing what was stored
+   * @param {string} profileId - Profile id
+   * @param {FontData} fontData - Font to save
+   * @returns {Promise}
+   */
+  async saveFont(profileId, fontData) {
+    if (!this.db) {
+      return FontStorage.setLocalItem(
+        PROFILE_KEY_PREFIX + profileId,
+        fontData.exportJSON(0),
+      );
+    }
+
+    return this.transaction(["glyphs", "fonts"], "readwrite", (stores) => {
+      const range = IDBKeyRange.only(profileId);
+      const cursor = stores.glyphs.index("profileId").openKeyCursor(range);
+      cursor.onsuccess = () => {
+        if (cursor.result) {
+          stores.glyphs.delete(cursor.result.primaryKey);
+          cursor.result.continue();
+          return;
+        }
+        // Old records are gone; write the current ones in the same transaction
+        fontData.getCapturedCharacters().forEach((char) => {
+          stores.glyphs.put({
+            profileId,
+            char,
+            variants: fontData.getVariants(char),
+          });
+        });
+      };
+      stores.fonts.put({
+        profileId,
+        metadata: fontData.metadata,
+        spacing: fontData.spacing,
+      });
+    });
+  }
+
+  /**
+   * Save a single character (all of its variants) after an edit
+   * A character without variants is removed from storage.
+   * @param {string} profileId - Profile id
+   * @param {FontData} fontData - Font holding the character
+   * @param {string} char - Character that changed
+   * @returns {Promise}
+   */
+  async saveCharacter(profileId, fontData, char) {
+    if (!this.db) {
+      return this.saveFont(profileId, fontData);
+    }
+
+    return this.transaction(["glyphs", "fonts"], "readwrite", (stores) => {
+      if (fontData.hasCharacter(char)) {
+        stores.glyphs.put({
+          profileId,
+          char,
+          variants: fontData.getVariants(char),
+        });
+      } else {
+        stores.glyphs.delete([profileId, char]);
+      }
+      stores.fonts.put({
+        profileId,
+        metadata: fontData.metadata,
+        spacing: fontData.spacing,
+      });
+    });
+  }
+
+  /**
+   * Save the font-wide fields (metadata and manual spacing) without glyphs
+   * @param {string} profileId - Profile id
+   * @param {FontData} fontData - Font to save
+   * @returns {Promise}
+   */
+  async saveFontInfo(profileId, fontData) {
+    if (!this.db) {
+      return this.saveFont(profileId, fontData);
+    }
+
+    return this.transaction(["fonts"], "readwrite", (stores) => {
+      stores.fonts.put({
+        profileId,
+        metadata: fontData.metadata,
+        spacing: fontData.spacing,
+      });
+    });
+  }
+
+  /**
+   * Remove a profile's font, snapshots and revisions
+   * @param {string} profileId - Profile id
+   * @returns {Promise}
+   */
+  async deleteFont(profileId) {
+    localStorage.removeItem(PROFILE_KEY_PREFIX + profileId);
+    localStorage.removeItem(SNAPSHOT_KEY_PREFIX + profileId);
+    this.memoryRevisions = this.memoryRevisions.filter(
+      (revision) => revision.profileId !== profileId,
+    );
+    if (!this.db) return;
+
+    await this.transaction(
+      ["glyphs", "fonts", "snapshots", "revisions"],
+      "readwrite",
+      (stores) => {
+        ["glyphs", "snapshots", "revisions"].forEach((name) => {
+          const cursor = stores[name]
+            .index("profileId")
+            .openKeyCursor(IDBKeyRange.only(profileId));
+          cursor.onsuccess = () => {
+            if (!cursor.result) return;
+            stores[name].delete(cursor.result.primaryKey);
+            cursor.result.continue();
+          };
+        });
+        stores.fonts.delete(profileId);
+      },
+    );
+  }
+
+  /**
+   * Store a timestamped copy of a font and prune old copies
+   * @param {string} profileId - Profile id
+   * @param {FontData} fontData - Font to copy
+   * @param {string} label - Why the snapshot was taken (e.g. "Autosave")
+   * @returns {Promise}
+   */
+  async createSnapshot(profileId, fontData, label) {
+    const snapshot = {
+      profileId,
+      created: new Date().toISOString(),
+      label,
+      capturedCount: fontData.getStatistics().capturedCount,
+      data: fontData.exportJSON(0),
+    };
+
+    if (!this.db) {
+      const snapshots = FontStorage.readLocalSnapshots(profileId);
+      snapshots.push({ ...snapshot, id: Date.now() });
+      return FontStorage.setLocalItem(
+        SNAPSHOT_KEY_PREFIX + profileId,
+        JSON.stringify(snapshots.slice(-MAX_FALLBACK_SNAPSHOTS)),
+      );
+    }
+
+    await this.transaction(["snapshots"], "readwrite", (stores) => {
+      stores.snapshots.add(snapshot);
+    });
+
+    const snapshots = await this.listSnapshots(profileId);
+    const excess = snapshots.slice(MAX_SNAPSHOTS);
+    if (excess.length > 0) {
+      await this.transaction(["snapshots"], "readwrite", (stores) => {
+        excess.forEach((old) => stores.snapshots.delete(old.id));
+      });
+    }
+  }
+
+  /**
+   * List a profile's snapshots, newest first, without their data
+   * @param {string} profileId - Profile id
+   * @returns {Promise<Array>} Snapshots {id, created, label, capturedCount}
+   */
+  async listSnapshots(profileId) {
+    let snapshots;
+    if (this.db) {
+      snapshots = await this.transaction(
+        ["snapshots"],
+        "readonly",
+        (stores) => {
+          const list = [];
+          const cursor = stores.snapshots
+            .index("profileId")
+            .openCursor(IDBKeyRange.only(profileId));
+          cursor.onsuccess = () => {
+            if (!cursor.result) return;
+            const { data, ...summary } = cursor.result.value;
+            list.push(summary);
+            cursor.result.continue();
+          };
+          return list;
+        },
+      );
+    } else {
+      snapshots = FontStorage.readLocalSnapshots(profileId).map(
+        ({ data, ...summary }) => summary,
+      );
+    }
+    return snapshots.sort(
+      (a, b) => b.created.localeCompare(a.created) || b.id - a.id,
+    );
+  }
+
+  /**
+   * Load the font stored in a snapshot
+   * @param {string} profileId - Profile id
+   * @param {number} snapshotId - Snapshot id from listSnapshots
+   * @returns {Promise<FontData>} Font from the snapshot
+   */
+  async loadSnapshot(profileId, snapshotId) {
+    let snapshot;
+    if (this.db) {
+      snapshot = await this.transaction(["snapshots"], "readonly", (stores) => {
+        const loaded = {};
+        FontStorage.request(stores.snapshots.get(snapshotId)).then((value) => {
+          loaded.value = value;
+        });
+        return loaded;
+      }).then((loaded) => loaded.value);
+    } else {
+      snapshot = FontStorage.readLocalSnapshots(profileId).find(
+        (entry) => entry.id === snapshotId,
+      );
+    }
+
+    if (!snapshot) {
+      throw new Error("Snapshot not found");
+    }
+    const fontData = new FontData();
+    fontData.replaceWith(FontData.parseJSON(snapshot.data));
+    return fontData;
+  }
+
+  /**
+   * Keep an earlier version of a glyph and prune the character's oldest ones
+   * @param {string} profileId - Profile id
+   * @param {string} char - Character the glyph belongs to
+   * @param {number} variant - Variant index the glyph was saved as
+   * @param {Object} glyph - Glyph record being replaced or deleted
+   * @returns {Promise}
+   */
+  async addRevision(profileId, char, variant, glyph) {
+    const revision = {
+      profileId,
+      char,
+      variant,
+      saved: new Date().toISOString(),
+      glyph,
+    };
+
+    if (!this.db) {
+      this.memoryRevisions.push({ ...revision, id: this.nextMemoryRevision++ });
+    } else {
+      await this.transaction(["revisions"], "readwrite", (stores) => {
+        stores.revisions.add(revision);
+      });
+    }
+
+    const excess = (await this.listRevisions(profileId, char)).slice(
+      MAX_REVISIONS,
+    );
+    if (excess.length === 0) return;
+    if (!this.db) {
+      this.memoryRevisions = this.memoryRevisions.filter(
+        (entry) => !excess.some((old) => old.id === entry.id),
+      );
+      return;
+    }
+    await this.transaction(["revisions"], "readwrite", (stores) => {
+      excess.forEach((old) => stores.revisions.delete(old.id));
+    });
+  }
+
+  /**
+   * List the stored revisions of a character, newest first
+   * @param {string} profileId - Profile id
+   * @param {string} char - Character
+   * @returns {Promise<Array>} Revisions {id, char, variant, saved, glyph}
+   */
+  async listRevisions(profileId, char) {
+    let revisions;
+    if (this.db) {
+      revisions = await this.transaction(
+        ["revisions"],
+        "readonly",
+        (stores) => {
+          const loaded = {};
+          FontStorage.request(
+            stores.revisions.index("glyph").getAll([profileId, char]),
+          ).then((value) => {
+            loaded.value = value;
+          });
+          return loaded;
+        },
+      ).then((loaded) => loaded.value);
+    } else {
+      revisions = this.memoryRevisions.filter(
+        (revision) =>
+          revision.profileId === profileId && revision.char === char,
+      );
+    }
+    return revisions.sort(
+      (a, b) => b.saved.localeCompare(a.saved) || b.id - a.id,
+    );
+  }
+
+  static readLocalSnapshots(profileId) {
+    try {
+      const stored = localStorage.getItem(SNAPSHOT_KEY_PREFIX + profileId);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error("Error reading snapshots:", error);
+      return [];
+    }
+  }
+
+  static setLocalItem(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch (error) {
+      throw FontStorage.describeError(error);
+    }
+  }
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.FontStorage = FontStorage;
+}
@@ -0,0 +1,307 @@
+/**
+ * G-code Exporter
+ * Converts laid-out handwriting centerlines into pen plotter G-code
+ */
+
+const MM_PER_PX = 25.4 / 96;
+
+class GCodeExporter {
+  /**
+   * @param {Object} options - Machine and page settings (all lengths in mm)
+   * @param {number} [options.pageWidth=210] - Page width
+   * @param {number} [options.pageHeight=297] - Page height
+   * @param {number} [options.offsetX=10] - Distance from the page's left edge to the text
+   * @param {number} [options.offsetY=10] - Distance from the page's top edge to the text
+   * @param {string} [options.origin="bottomLeft"] - Machine origin corner: bottomLeft | topLeft
+   * @param {string} [options.penMode="z"] - z (pen on the Z axis) | servo (M-code commands)
+   * @param {number} [options.zUp=5] - Z height with the pen lifted
+   * @param {number} [options.zDown=0] - Z height with the pen on paper
+   * @param {string} [options.penUpCommand="M5"] - Servo pen-up command
+   * @param {string} [options.penDownCommand="M3 S90"] - Servo pen-down command
+   * @param {number} [options.penDelay=0.15] - Seconds to wait after a servo move
+   * @param {number} [options.drawFeed=1500] - Feed rate while drawing (mm/min)
+   * @param {number} [options.zFeed=500] - Feed rate when lowering the pen on Z (mm/min)
+   * @param {number} [options.tolerance=0.1] - Maximum deviation when flattening curves
+   * @param {number} [options.scale=1] - Extra scale on top of px → mm conversion
+   */
+  constructor(options = {}) {
+    this.options = {
+      pageWidth: 210,
+      pageHeight: 297,
+      offsetX: 10,
+      offsetY: 10,
+      origin: "bottomLeft",
+      penMode: "z",
+      zUp: 5,
+      zDown: 0,
+      penUpCommand: "M5",
+      penDownCommand: "M3 S90",
+      penDelay: 0.15,
+      drawFeed: 1500,
+      zFeed: 500,
+      tolerance: 0.1,
+      scale: 1,
+      ...options,
+    };
+  }
+
+  /**
+   * Generate a G-code program for a text layout
+   * @param {Object} layout - Result of layoutText ({glyphs, bounds})
+   * @returns {Object} {gcode, warnings}
+   */
+  generate(layout) {
+    const polylines = this.collectPolylines(layout);
+    const warnings = this.checkPage(polylines);
+    const o = this.options;
+    const lines = [];
+
+    lines.push("; Handwriting SVG Generator - pen plotter program");
+    lines.push(
+      `; Page ${o.pageWidth} x ${o.pageHeight} mm, origin ${o.origin}`,
+    );
+    warnings.forEach((warning) => lines.push(`; WARNING: ${warning}`));
+    lines.push("G21 ; millimetres");
+    lines.push("G90 ; absolute positioning");
+    lines.push(...this.penUp());
+
+    let penIsDown = false;
+    let last = null;
+    polylines.forEach((polyline) => {
+      const start = polyline[0];
+      const continues =
+        penIsDown &&
+        last &&
+        Math.hypot(start.x - last.x, start.y - last.y) <= o.tolerance;
+
+      if (!continues) {
+        if (penIsDown) lines.push(...this.penUp());
+        lines.push(`G0 X${this.fmt(start.x)} Y${this.fmt(start.y)}`);
+        lines.push(...this.penDown());
+        penIsDown = true;
+      }
+
+      polyline.slice(1).forEach((point, index) => {
+        const feed = index === 0 ? ` F${o.drawFeed}` : "";
+        lines.push(`G1 X${this.fmt(point.x)} Y${this.fmt(point.y)}${feed}`);
+      });
+      last = polyline[polyline.length - 1];
+    });
+
+    if (penIsDown) lines.push(...this.penUp());
+    lines.push("G0 X0 Y0");
+    lines.push("M2 ; end of program");
+
+    return { gcode: lines.join("\n") + "\n", warnings };
+  }
+
+  /**
+   * Flatten every connector and stroke into machine-space polylines in drawing order
+   * @param {Object} layout - Result of layoutText
+   * @returns {Array} Array of point arrays {x, y} in mm
+   */
+  collectPolylines(layout) {
+    const polylines = [];
+    const toMachine = this.createTransform(layout.bounds);
+
+    layout.glyphs.forEach((glyph) => {
+      if (glyph.connector) {
+        const c = glyph.connector;
+        const start = toMachine(c.x1, c.y1);
+        polylines.push([
+          start,
+          ...this.flattenCubic(
+            start,
+            toMachine(c.cx1, c.cy1),
+            toMachine(c.cx2, c.cy2),
+            toMachine(c.x2, c.y2),
+          ),
+        ]);
+      }
+
+      glyph.strokes.forEach((stroke) => {
+        if (!stroke.points || stroke.points.length < 2) return;
+        const points = stroke.points.map((p) =>
+          toMachine(glyph.x + p.x * glyph.size, glyph.y + p.y * glyph.size),
+        );
+        polylines.push(this.flattenStroke(points));
+      });
+    });
+
+    return polylines;
+  }
+
+  /**
+   * Map layout px to machine mm with the text's top-left ink at the page offset
+   * @param {Object} bounds - Layout ink bounds in px
+   * @returns {Function} (x, y) => {x, y}
+   */
+  createTransform(bounds) {
+    const o = this.options;
+    const scale = MM_PER_PX * o.scale;
+    const minX = isFinite(bounds.minX) ? bounds.minX : 0;
+    const minY = isFinite(bounds.minY) ? bounds.minY : 0;
+
+    return (x, y) => {
+      const pageX = (x - minX) * scale + o.offsetX;
+      const pageY = (y - minY) * scale + o.offsetY;
+      return {
+        x: pageX,
+        y: o.origin === "topLeft" ? pageY : o.pageHeight - pageY,
+      };
+    };
+  }
+
+  /**
+   * Flatten the renderer's smoothed path (quadratic curves through midpoints)
+   * Each curve is split into enough lines to stay within the tolerance.
+   * @param {Array} points - Stroke points in mm
+   * @returns {Array} Polyline points
+   */
+  flattenStroke(points) {
+    if (points.length <= 2) return points;
+
+    const result = [points[0]];
+    let current = points[0];
+
+    for (let i = 1; i < points.length - 1; i++) {
+      const control = points[i];
+      const end = {
+        x: (points[i].x + points[i + 1].x) / 2,
+        y: (points[i].y + points[i + 1].y) / 2,
+      };
+      result.push(...this.flattenQuadratic(current, control, end));
+      current = end;
+    }
+    result.push(points[points.length - 1]);
+
+    return result;
+  }
+
+  /**
+   * Split a quadratic Bézier into line segments
+   * The chord deviation of a quadratic is |p0 - 2p1 + p2| / 4 and shrinks with
+   * the square of the number of segments.
+   * @param {Object} p0 - Start point
+   * @param {Object} p1 - Control point
+   * @param {Object} p2 - End point
+   * @returns {Array} Points after p0, ending with p2
+   */
+  flattenQuadratic(p0, p1, p2) {
+    const deviation =
+      Math.hypot(p0.x - 2 * p1.x + p2.x, p0.y - 2 * p1.y + p2.y) / 4;
+    const segments = Math.max(
+      1,
+      Math.ceil(Math.sqrt(deviation / this.options.tolerance)),
+    );
+
+    const points = [];
+    for (let s = 1; s <= segments; s++) {
+      const t = s / segments;
+      const mt = 1 - t;
+      points.push({
+        x: mt * mt * p0.x + 2 * mt * t * p1.x + t * t * p2.x,
+        y: mt * mt * p0.y + 2 * mt * t * p1.y + t * t * p2.y,
+      });
+    }
+    return points;
+  }
+
+  /**
+   * Split a cubic Bézier (a cursive connector) into line segments
+   * The chord deviation is at most 3/4 of the larger second difference of the
+   * control points, again shrinking with the square of the number of segments.
+   * @param {Object} p0 - Start point
+   * @param {Object} p1 - First control point
+   * @param {Object} p2 - Second control point
+   * @param {Object} p3 - End point
+   * @returns {Array} Points after p0, ending with p3
+   */
+  flattenCubic(p0, p1, p2, p3) {
+    const deviation =
+      (Math.max(
+        Math.hypot(p0.x - 2 * p1.x + p2.x, p0.y - 2 * p1.y + p2.y),
+        Math.hypot(p1.x - 2 * p2.x + p3.x, p1.y - 2 * p2.y + p3.y),
+      ) *
+        3) /
+      4;
+    const segments = Math.max(
+      1,
+      Math.ceil(Math.sqrt(deviation / this.options.tolerance)),
+    );
+
+    const points = [];
+    for (let s = 1; s <= segments; s++) {
+      const t = s / segments;
+      const mt = 1 - t;
+      points.push({
+        x:
+          mt * mt * mt * p0.x +
+          3 * mt * mt * t * p1.x +
+          3 * mt * t * t * p2.x +
+          t * t * t * p3.x,
+        y:
+          mt * mt * mt * p0.y +
+          3 * mt * mt * t * p1.y +
+          3 * mt * t * t * p2.y +
+          t * t * t * p3.y,
+      });
+    }
+    return points;
+  }
+
+  /**
+   * Report drawing outside the page
+   * @param {Array} polylines - Machine-space polylines
+   * @returns {Array} Warning strings
+   */
+  checkPage(polylines) {
+    const { pageWidth, pageHeight } = this.options;
+    if (polylines.length === 0) return ["Nothing to draw"];
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    polylines.forEach((polyline) => {
+      polyline.forEach((p) => {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+      });
+    });
+
+    if (minX < 0 || minY < 0 || maxX > pageWidth || maxY > pageHeight) {
+      return [
+        `Drawing spans X ${this.fmt(minX)}..${this.fmt(maxX)}, Y ${this.fmt(minY)}..${this.fmt(maxY)} mm and leaves the ${pageWidth} x ${pageHeight} mm page`,
+      ];
+    }
+    return [];
+  }
+
+  penUp() {
+    const o = this.options;
+    if (o.penMode === "servo") {
+      return [o.penUpCommand, `G4 P${o.penDelay}`];
+    }
+    return [`G0 Z${this.fmt(o.zUp)}`];
+  }
+
+  penDown() {
+    const o = this.options;
+    if (o.penMode === "servo") {
+      return [o.penDownCommand, `G4 P${o.penDelay}`];
+    }
+    return [`G1 Z${this.fmt(o.zDown)} F${o.zFeed}`];
+  }
+
+  fmt(value) {
+    return (Math.round(value * 1000) / 1000).toString();
+  }
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.GCodeExporter = GCodeExporter;
+}
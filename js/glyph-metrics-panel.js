@@ -0,0 +1,210 @@
+/**
+ * Glyph Metrics Panel
+ * Adjusts the position, size, baseline and spacing of a saved glyph on the capture page
+ */
+
+const METRICS_EM_UNITS = 1000; // values are shown in thousandths of an em
+const NUDGE_STEP = 0.01; // em moved by one click of the arrows
+const SCALE_STEP = 1.05; // size change of one click of the size buttons
+const METRICS_PREVIEW_SEED = "metrics";
+const metricsPreviewConfig = {
+  ...DEFAULT_RENDER_OPTIONS,
+  fontSize: 60,
+  variation: 0,
+  margin: 10,
+};
+
+class GlyphMetricsPanel {
+  /**
+   * @param {number} guidelineBaseline - Capture baseline below the ascender line, in em
+   * @param {Object} callbacks - {onChange(label, glyph), onBearings(left, right)}
+   */
+  constructor(guidelineBaseline, callbacks = {}) {
+    this.guidelineBaseline = guidelineBaseline;
+    this.callbacks = callbacks;
+    this.element = document.getElementById("glyphMetrics");
+    this.preview = document.getElementById("metricsPreview");
+    this.fontData = null;
+    this.char = null;
+    this.glyph = null;
+  }
+
+  setup() {
+    const transform = (label, scale, dy) => {
+      const { bounds, metrics } = this.glyph;
+      this.change(
+        label,
+        FontData.transformGlyph(this.glyph, {
+          originX: bounds.minX,
+          originY: metrics ? metrics.baseline : bounds.maxY,
+          scale,
+          dy: dy * this.getEmHeight(),
+        }),
+      );
+    };
+
+    document
+      .getElementById("nudgeUp")
+      .addEventListener("click", () => transform("Move up", 1, -NUDGE_STEP));
+    document
+      .getElementById("nudgeDown")
+      .addEventListener("click", () => transform("Move down", 1, NUDGE_STEP));
+    document
+      .getElementById("scaleUp")
+      .addEventListener("click", () => transform("Enlarge", SCALE_STEP, 0));
+    document
+      .getElementById("scaleDown")
+      .addEventListener("click", () => transform("Shrink", 1 / SCALE_STEP, 0));
+
+    document
+      .getElementById("baselineOffset")
+      .addEventListener("change", (e) => {
+        const offset = fromEmUnits(e.target.value);
+        this.setBaseline(
+          this.glyph.metrics.ascender +
+            (this.guidelineBaseline + offset) * this.glyph.metrics.emHeight,
+        );
+      });
+    document
+      .getElementById("detectedBaseline")
+      .addEventListener("click", () => {
+        this.setBaseline(StrokeProcessor.detectBaseline(this.glyph.strokes));
+      });
+    document
+      .getElementById("guidelineBaseline")
+      .addEventListener("click", () => {
+        const { ascender, emHeight } = this.glyph.metrics;
+        this.setBaseline(ascender + this.guidelineBaseline * emHeight);
+      });
+
+    document.getElementById("advanceWidth").addEventListener("change", (e) => {
+      const advance =
+        e.target.value === "" ? null : Math.max(0, fromEmUnits(e.target.value));
+      const glyph = { ...this.glyph };
+      if (advance === null) {
+        delete glyph.advance;
+      } else {
+        glyph.advance = advance;
+      }
+      this.change("Set advance width", glyph);
+    });
+
+    ["glyphLeftBearing", "glyphRightBearing"].forEach((id) => {
+      document.getElementById(id).addEventListener("change", () => {
+        this.callbacks.onBearings?.(
+          fromEmUnits(document.getElementById("glyphLeftBearing").value),
+          fromEmUnits(document.getElementById("glyphRightBearing").value),
+        );
+        this.render();
+      });
+    });
+
+    document
+      .getElementById("sampleText")
+      .addEventListener("input", () => this.renderPreview());
+  }
+
+  /**
+   * Show the saved take of a glyph, or a hint when it has not been saved yet
+   * @param {FontData} fontData - Font holding the glyph
+   * @param {string} char - Glyph key
+   * @param {number} variantIndex - Take being edited
+   */
+  show(fontData, char, variantIndex) {
+    this.fontData = fontData;
+    this.char = char;
+    this.glyph = fontData.getCharacter(char, variantIndex);
+    this.render();
+  }
+
+  render() {
+    const glyph = this.glyph;
+    const hasMetrics = !!glyph?.metrics?.emHeight;
+    this.element
+      .querySelectorAll("button, input:not(#sampleText)")
+      .forEach((input) => {
+        input.disabled = !glyph;
+      });
+    ["baselineOffset", "detectedBaseline", "guidelineBaseline"].forEach(
+      (id) => {
+        document.getElementById(id).disabled = !hasMetrics;
+      },
+    );
+
+    const bearings = this.fontData
+      ? this.fontData.getSideBearings(this.char)
+      : { left: 0, right: 0 };
+    document.getElementById("baselineOffset").value = hasMetrics
+      ? toEmUnits(
+          StrokeProcessor.getBaselineNorm(glyph) - this.guidelineBaseline,
+        )
+      : "";
+    document.getElementById("advanceWidth").value =
+      glyph?.advance === undefined ? "" : toEmUnits(glyph.advance);
+    document.getElementById("advanceWidth").placeholder = glyph
+      ? `auto (${toEmUnits(glyph.bounds.width / this.getEmHeight())})`
+      : "auto";
+    document.getElementById("glyphLeftBearing").value = toEmUnits(
+      bearings.left,
+    );
+    document.getElementById("glyphRightBearing").value = toEmUnits(
+      bearings.right,
+    );
+
+    this.renderPreview();
+  }
+
+  /**
+   * Render the sample text with this take in place of every other variant
+   */
+  renderPreview() {
+    if (!this.glyph) {
+      this.preview.innerHTML = `<p class="metrics-empty">Save "${escapeHTML(FontData.describeKey(this.char || ""))}" to adjust its metrics.</p>`;
+      return;
+    }
+
+    const font = new FontData();
+    font.characters = {
+      ...this.fontData.characters,
+      [this.char]: { variants: [this.glyph] },
+    };
+    font.spacing = this.fontData.spacing;
+
+    const { char } = FontData.parseKey(this.char);
+    const text =
+      document.getElementById("sampleText").value || `n${char}o ${char}`;
+    const renderer = new HandwritingRenderer(font, metricsPreviewConfig);
+    this.preview.innerHTML = renderer.render(text, METRICS_PREVIEW_SEED);
+  }
+
+  // Line the glyph is rendered on, in capture pixels; the guideline unless overridden
+  setBaseline(baseline) {
+    this.change("Set baseline", {
+      ...this.glyph,
+      metrics: { ...this.glyph.metrics, baseline },
+    });
+  }
+
+  change(label, glyph) {
+    this.callbacks.onChange?.(label, glyph);
+  }
+
+  // Capture pixels per em of the glyph being edited
+  getEmHeight() {
+    return this.glyph.metrics?.emHeight || this.glyph.bounds.height || 1;
+  }
+}
+
+function toEmUnits(em) {
+  return Math.round(em * METRICS_EM_UNITS);
+}
+
+function fromEmUnits(value) {
+  const number = parseFloat(value);
+  return isFinite(number) ? number / METRICS_EM_UNITS : 0;
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.GlyphMetricsPanel = GlyphMetricsPanel;
+}
@@ -0,0 +1,1307 @@
+/**
+ * Handwriting Renderer
+ * Lays out text with captured handwriting and renders it as SVG.
+ * Free of DOM access so it runs both in the browser and in Node.js.
+ */
+
+const MIN_STROKE_WIDTH = 1.5;
+const MAX_STROKE_WIDTH = 3;
+const PX_PER_MM = 96 / 25.4;
+const MIN_HYPHENATE_LENGTH = 6; // shortest word that may be split
+const MIN_HYPHEN_FRAGMENT = 2; // letters kept on each side of a hyphen
+const PROFILE_MARKER = /^\{\{([^{}]+)\}\}\s*/; // "{{Profile name}}" at the start of a paragraph
+const CONNECTOR_MIN_GAP = 0.02; // em left between tails that were cut back to meet
+const MAX_TAIL_TRIM = 0.15; // em; longer overlaps belong to the letter, not its tail
+const CONNECTOR_WIDTH_STEPS = 4; // centerline pieces used to taper a connector
+const CONNECTOR_SAMPLES = 12; // points per connector in merged outlines
+const WORD_LETTER = /[\p{L}\p{M}]/u; // neighbours that make a glyph part of a word for positional forms
+const COMBINING_MARK = /\p{M}/u; // marks typed after a character that has no precomposed form
+const DOTLESS_LETTERS = { i: "ı", j: "ȷ" }; // bases whose dot an accent above replaces
+// Synthesized fallbacks: characters drawn as a mirror image or half turn of their partner
+const MIRRORED_PAIRS = {
+  "(": ")",
+  ")": "(",
+  "[": "]",
+  "]": "[",
+  "{": "}",
+  "}": "{",
+  "<": ">",
+  ">": "<",
+  "/": "\\",
+  "\\": "/",
+};
+const ROTATED_PAIRS = { "“": "”", "”": "“", "‘": "’", "’": "‘" };
+// Last fallback: an empty box from the baseline to the x-height, in em
+const PLACEHOLDER_GLYPH = {
+  strokes: [
+    {
+      points: [
+        { x: 0, y: 0.38 },
+        { x: 0.4, y: 0.38 },
+        { x: 0.4, y: 0.73 },
+        { x: 0, y: 0.73 },
+        { x: 0, y: 0.38 },
+      ],
+    },
+  ],
+  bounds: {
+    minX: 0,
+    minY: 0.38,
+    maxX: 0.4,
+    maxY: 0.73,
+    width: 0.4,
+    height: 0.35,
+  },
+  metrics: {
+    ascender: 0,
+    xHeight: 0.38,
+    baseline: 0.73,
+    descender: 1,
+    emHeight: 1,
+  },
+};
+
+const DEFAULT_RENDER_OPTIONS = {
+  fontSize: 60,
+  letterSpacing: 5,
+  kerning: true, // optical kerning from the glyph shapes
+  kerningStrength: 1, // 0-1, share of the optical kerning applied
+  lineHeight: 1.5,
+  variation: 2,
+  connectCursive: true,
+  strokeMode: "centerline", // centerline (plotters) | outline (variable-width fill)
+  variantMode: "avoidRepeat", // random | roundRobin | avoidRepeat
+  fallbacks: ["otherCase", "synthesized", "profile", "placeholder"], // tried in order for missing glyphs
+  fallbackProfile: "", // name of the profile (see fonts) used by the "profile" fallback
+  maxWidth: 0, // 0 = only break on explicit newlines
+  widthUnit: "px", // px | mm
+  align: "left", // left | center | right | justify
+  hyphenate: false,
+  margin: 20, // px of empty space around the ink bounds
+  fitToBox: false,
+  fitWidth: 800, // px
+  fitHeight: 600, // px
+  strokeColor: "#000000",
+};
+
+class HandwritingRenderer {
+  /**
+   * @param {FontData} fontData - Captured handwriting
+   * @param {Object} [options] - Render options (see DEFAULT_RENDER_OPTIONS)
+   * @param {Object} [fonts] - Other hands by profile name, selected per paragraph with {{Name}}
+   */
+  constructor(fontData, options = {}, fonts = {}) {
+    this.fontData = fontData;
+    this.fonts = fonts;
+    this.activeFont = fontData;
+    this.config = { ...DEFAULT_RENDER_OPTIONS, ...options };
+    this.svgGenerator = new SVGGenerator({
+      strokeColor: this.config.strokeColor,
+      minStrokeWidth: MIN_STROKE_WIDTH,
+      maxStrokeWidth: MAX_STROKE_WIDTH,
+      strokeMode: this.config.strokeMode,
+    });
+    this.variantPicker = null;
+    this.variantPickers = new Map();
+    this.missing = new Set();
+    this.unknownProfiles = new Set();
+    this.generator = null;
+  }
+
+  /**
+   * Render text to an SVG document
+   * @param {string} text - Text to render (lines separated by \n)
+   * @param {number|string} seed - Seed for every random choice in the render
+   * @returns {string} SVG markup
+   */
+  render(text, seed) {
+    return this.buildTextSVG(this.layoutText(text, seed));
+  }
+
+  /**
+   * Lay out and render text without wrapping it in an SVG document
+   * @param {string} text - Text to render (lines separated by \n)
+   * @param {number|string} seed - Seed for every random choice in the render
+   * @returns {Object} {svg, bounds, glyphs, seed, missing, unknownProfiles} where glyphs lists
+   *   every placed glyph in writing order, missing the characters that had no captured glyph
+   *   and unknownProfiles the {{name}} markers that named no profile
+   */
+  layoutText(text, seed) {
+    let svgContent = "";
+    const glyphs = [];
+    this.generator = new SeededRandom(seed);
+    const random = this.generator.toFunction();
+
+    // Fresh variant selection state so round-robin starts over on every render
+    this.variantPickers = new Map();
+    this.missing = new Set();
+    this.unknownProfiles = new Set();
+
+    // Break paragraphs into lines using measured word widths
+    const maxWidthPx =
+      this.config.widthUnit === "mm"
+        ? this.config.maxWidth * PX_PER_MM
+        : this.config.maxWidth;
+    // Precomposed characters (NFC) first, so a captured "é" wins over e + acute
+    const paragraphs = text.normalize("NFC").split("\n");
+    const lines = [];
+    paragraphs.forEach((paragraph) => {
+      const { fontData, body } = this.resolveParagraphFont(paragraph);
+      this.useFont(fontData, random);
+      lines.push(...this.layoutParagraph(body, maxWidthPx, random));
+    });
+    const boxWidth =
+      maxWidthPx || Math.max(0, ...lines.map((line) => line.width));
+
+    // First pass: place every line and measure the ink it covers
+    const lineHeightPx = this.config.fontSize * this.config.lineHeight;
+    const inkBounds = createEmptyBounds();
+    let yPosition = lineHeightPx;
+
+    lines.forEach((line) => {
+      const placed = this.placeLine(line, 0, yPosition, boxWidth);
+      svgContent += placed.svg;
+      glyphs.push(...placed.glyphs);
+      includeBounds(inkBounds, placed.bounds);
+      yPosition += lineHeightPx;
+    });
+
+    return {
+      svg: svgContent,
+      bounds: inkBounds,
+      glyphs,
+      seed,
+      missing: [...this.missing],
+      unknownProfiles: [...this.unknownProfiles],
+    };
+  }
+
+  /**
+   * Pick the hand for a paragraph from a leading {{Profile name}} marker
+   * Unknown names are left in the text so the mistake shows up in the output,
+   * and are listed in unknownProfiles.
+   * @param {string} paragraph - Paragraph text
+   * @returns {Object} {fontData, body} where body has the marker removed
+   */
+  resolveParagraphFont(paragraph) {
+    const match = paragraph.match(PROFILE_MARKER);
+    if (match) {
+      const wanted = match[1].trim().toLowerCase();
+      const name = Object.keys(this.fonts).find(
+        (key) => key.toLowerCase() === wanted,
+      );
+      if (name) {
+        return {
+          fontData: this.fonts[name],
+          body: paragraph.slice(match[0].length),
+        };
+      }
+      this.unknownProfiles.add(match[1].trim());
+    }
+    return { fontData: this.fontData, body: paragraph };
+  }
+
+  /**
+   * Switch the hand used for the following glyphs
+   * Each font keeps its own variant selection state for the whole render.
+   * @param {FontData} fontData - Font to use
+   * @param {Function} random - Seeded source of values in [0, 1)
+   */
+  useFont(fontData, random) {
+    this.activeFont = fontData;
+    this.variantPicker = this.getVariantPicker(fontData, random);
+  }
+
+  /**
+   * Variant picker of a font, created on first use in this render
+   * @param {FontData} fontData - Font to pick from
+   * @param {Function} random - Seeded source of values in [0, 1)
+   * @returns {Function} (glyphKey) => glyph record or null
+   */
+  getVariantPicker(fontData, random) {
+    if (!this.variantPickers.has(fontData)) {
+      this.variantPickers.set(
+        fontData,
+        this.createVariantPicker(fontData, this.config.variantMode, random),
+      );
+    }
+    return this.variantPickers.get(fontData);
+  }
+
+  /**
+   * Wrap laid-out text in an SVG document sized to its ink
+   * @param {Object} layout - Result of layoutText
+   * @param {string} [content] - Body markup (defaults to the static render)
+   * @returns {string} SVG markup
+   */
+  buildTextSVG(layout, content = layout.svg) {
+    // Second pass: size the canvas to the measured ink plus margin
+    const { width, height, viewBox } = this.getCanvasSize(layout.bounds);
+    const aspect = this.config.fitToBox
+      ? ` preserveAspectRatio="xMidYMid meet"`
+      : "";
+
+    // Start SVG with proper viewBox
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewBox}"${aspect}>\n`;
+
+    // Add metadata; no timestamp, so the same seed gives byte-identical output
+    svg += `  <metadata>\n`;
+    svg += `    <generator>Handwriting SVG Generator</generator>\n`;
+    svg += `    <seed>${escapeXML(String(layout.seed))}</seed>\n`;
+    svg += `  </metadata>\n`;
+
+    svg += content;
+    svg += `</svg>`;
+
+    return svg;
+  }
+
+  /**
+   * Compute SVG size and viewBox from measured ink bounds
+   * With fitToBox the viewBox still hugs the ink and the requested box scales it.
+   * @param {Object} inkBounds - {minX, minY, maxX, maxY} of all placed strokes
+   * @returns {Object} {width, height, viewBox}
+   */
+  getCanvasSize(inkBounds) {
+    const bounds = isFinite(inkBounds.minX)
+      ? inkBounds
+      : { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+
+    // Half the widest stroke spills outside the centerline bounds
+    const pad = MAX_STROKE_WIDTH / 2 + this.config.margin;
+    const x = bounds.minX - pad;
+    const y = bounds.minY - pad;
+    const viewWidth = Math.max(1, bounds.maxX - bounds.minX + pad * 2);
+    const viewHeight = Math.max(1, bounds.maxY - bounds.minY + pad * 2);
+    const viewBox = [x, y, viewWidth, viewHeight]
+      .map((value) => value.toFixed(2))
+      .join(" ");
+
+    if (this.config.fitToBox) {
+      return {
+        width: this.config.fitWidth,
+        height: this.config.fitHeight,
+        viewBox,
+      };
+    }
+    return {
+      width: viewWidth.toFixed(2),
+      height: viewHeight.toFixed(2),
+      viewBox,
+    };
+  }
+
+  /**
+   * Split a paragraph into lines no wider than maxWidth
+   * Words are rendered once at the origin and measured; spaces already break
+   * cursive connections so each word can be placed independently. Renders that
+   * are not placed leave no trace in the random stream, the variant choice or
+   * the missing characters.
+   * @param {string} paragraph - Text without newlines
+   * @param {number} maxWidth - Line width limit in px (0 = no wrapping)
+   * @param {Function} random - Seeded source of values in [0, 1)
+   * @returns {Array} Lines of {words: [{svg, width, bounds, gap}], width, endsParagraph}
+   */
+  layoutParagraph(paragraph, maxWidth, random) {
+    const spaceWidth = this.config.fontSize * 0.3;
+    const lines = [];
+    let current = { words: [], width: 0, endsParagraph: false };
+    let pendingSpace = 0;
+
+    const gapBefore = () => (current.words.length > 0 ? pendingSpace : 0);
+    const available = () => maxWidth - current.width - gapBefore();
+    const place = (trial) => {
+      const word = this.keepTrial(trial);
+      const gap = gapBefore();
+      current.words.push({ ...word, gap });
+      current.width += gap + word.width;
+      pendingSpace = 0;
+    };
+    const breakLine = () => {
+      lines.push(current);
+      current = { words: [], width: 0, endsParagraph: false };
+      pendingSpace = 0;
+    };
+
+    paragraph.split(" ").forEach((token, index) => {
+      if (index > 0) pendingSpace += spaceWidth;
+
+      let rest = token;
+      let word = null;
+      while (rest) {
+        word = word || this.trialRender(rest, random);
+        if (!maxWidth || word.width <= available()) {
+          place(word);
+          break;
+        }
+
+        const piece = this.config.hyphenate
+          ? this.hyphenateToFit(rest, available(), random)
+          : null;
+        if (piece) {
+          place(piece);
+          breakLine();
+          rest = rest.slice(piece.length);
+          word = null;
+          continue;
+        }
+
+        // Try the same render again at the start of the next line
+        if (current.words.length > 0) {
+          breakLine();
+          continue;
+        }
+
+        // Wider than an empty line and cannot be split: let it overflow
+        place(word);
+        break;
+      }
+    });
+
+    current.endsParagraph = true;
+    lines.push(current);
+    return lines;
+  }
+
+  /**
+   * Find the longest hyphenated prefix of a word that fits the given width
+   * @param {string} word - Word to split
+   * @param {number} width - Available width in px
+   * @param {Function} random - Seeded source of values in [0, 1)
+   * @returns {Object|null} Trial render of the prefix (see trialRender) with its length
+   */
+  hyphenateToFit(word, width, random) {
+    if (word.length < MIN_HYPHENATE_LENGTH) return null;
+
+    for (
+      let length = word.length - MIN_HYPHEN_FRAGMENT;
+      length >= MIN_HYPHEN_FRAGMENT;
+      length--
+    ) {
+      const result = this.trialRender(word.slice(0, length) + "-", random);
+      if (result.width <= width) {
+        return { ...result, length };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Render text at the origin without using up random values or variants
+   * The state after the render is kept with the result so keepTrial can commit it.
+   * @param {string} text - Text to render
+   * @param {Function} random - Seeded source of values in [0, 1)
+   * @returns {Object} renderLine result plus {state}
+   */
+  trialRender(text, random) {
+    const before = this.saveRenderState();
+    const result = this.renderLine(text, 0, 0, random);
+    const state = this.saveRenderState();
+    this.restoreRenderState(before);
+    return { ...result, state };
+  }
+
+  /**
+   * Commit a trial render that is placed: advance the random stream and variant
+   * choice as if it had been the only render, and report its missing characters
+   * @param {Object} trial - Result of trialRender
+   * @returns {Object} The render without its state and missing list
+   */
+  keepTrial({ state, missing, ...word }) {
+    this.restoreRenderState(state);
+    missing.forEach((char) => this.missing.add(char));
+    return word;
+  }
+
+  // Copy of the random generator and variant picker state of the current render
+  saveRenderState() {
+    return {
+      random: this.generator.state,
+      pickers: [...this.variantPickers].map(([fontData, picker]) => [
+        fontData,
+        picker,
+        copyPickerState(picker.state),
+      ]),
+    };
+  }
+
+  // Pickers created after the state was saved are dropped
+  restoreRenderState(saved) {
+    this.generator.state = saved.random;
+    this.variantPickers = new Map(
+      saved.pickers.map(([fontData, picker, state]) => {
+        Object.assign(picker.state, copyPickerState(state));
+        return [fontData, picker];
+      }),
+    );
+  }
+
+  /**
+   * Position a laid-out line inside the text box according to the align option
+   * @param {Object} line - Line from layoutParagraph
+   * @param {number} startX - Left edge of the text box in px
+   * @param {number} baselineY - Baseline in px
+   * @param {number} boxWidth - Text box width in px
+   * @returns {Object} {svg, bounds, glyphs} in absolute coordinates
+   */
+  placeLine(line, startX, baselineY, boxWidth) {
+    const slack = Math.max(0, boxWidth - line.width);
+    let offset = 0;
+    let extraGap = 0;
+
+    if (this.config.align === "center") {
+      offset = slack / 2;
+    } else if (this.config.align === "right") {
+      offset = slack;
+    } else if (
+      this.config.align === "justify" &&
+      !line.endsParagraph &&
+      line.words.length > 1
+    ) {
+      extraGap = slack / (line.words.length - 1);
+    }
+
+    let x = startX + offset;
+    let svg = "";
+    const bounds = createEmptyBounds();
+    const glyphs = [];
+    line.words.forEach((word, index) => {
+      x += word.gap + (index > 0 ? extraGap : 0);
+      svg += `  <g transform="translate(${x.toFixed(2)}, ${baselineY.toFixed(2)})">\n${word.svg}  </g>\n`;
+      includeBounds(bounds, word.bounds, x, baselineY);
+      word.glyphs.forEach((glyph, glyphIndex) => {
+        glyphs.push(this.offsetGlyph(glyph, x, baselineY, glyphIndex === 0));
+      });
+      x += word.width;
+    });
+    return { svg, bounds, glyphs };
+  }
+
+  /**
+   * Move a placed glyph record from word space into document space
+   * @param {Object} glyph - Glyph record from renderLine
+   * @param {number} dx - X offset
+   * @param {number} dy - Y offset
+   * @param {boolean} wordStart - Whether the glyph starts a word
+   * @returns {Object} Offset glyph record
+   */
+  offsetGlyph(glyph, dx, dy, wordStart) {
+    const connector = glyph.connector && {
+      ...glyph.connector,
+      x1: glyph.connector.x1 + dx,
+      y1: glyph.connector.y1 + dy,
+      cx1: glyph.connector.cx1 + dx,
+      cy1: glyph.connector.cy1 + dy,
+      cx2: glyph.connector.cx2 + dx,
+      cy2: glyph.connector.cy2 + dy,
+      x2: glyph.connector.x2 + dx,
+      y2: glyph.connector.y2 + dy,
+    };
+    return { ...glyph, x: glyph.x + dx, y: glyph.y + dy, wordStart, connector };
+  }
+
+  /**
+   * Render a single line of text
+   * @param {string} text - Line text
+   * @param {number} startX - Left edge in px
+   * @param {number} startY - Baseline in px
+   * @param {Function} random - Seeded source of values in [0, 1)
+   * @returns {Object} {svg, width, bounds, glyphs, missing} where bounds covers every stroke centerline
+   *   and glyphs holds {key, x, y, size, strokes, connector, fallback} for each placed glyph, where
+   *   connector is the curve joining it to the previous glyph (see joinGlyphs) or null and
+   *   fallback names the fallback step that stood in for a missing glyph (see findFallback);
+   *   missing lists the characters without a captured glyph
+   */
+  renderLine(text, startX, startY, random) {
+    let xPosition = startX;
+    const placed = [];
+    const missingChars = [];
+    let prevJoinable = false; // previous glyph can be joined to the next one
+    let prevKey = null; // previous glyph in the same word, for kerning
+
+    for (let i = 0; i < text.length; ) {
+      const glyphKey = this.findGlyphKey(text, i);
+      let step = glyphKey.length;
+
+      // Handle space
+      if (glyphKey === " ") {
+        xPosition += this.config.fontSize * 0.3;
+        prevJoinable = false; // break connections across word boundaries
+        prevKey = null;
+        i += step;
+        continue;
+      }
+
+      // Accented letters without a captured glyph are built from base + marks
+      const { key, marks } = this.decompose(glyphKey);
+      while (i + step < text.length && COMBINING_MARK.test(text[i + step])) {
+        marks.push(text[i + step]);
+        step++;
+      }
+
+      // Get character data, preferring the positional form for this place in the word
+      const form = getPositionalForm(text, i, i + step);
+      const captured =
+        this.variantPicker(FontData.formKey(key, form)) ||
+        this.variantPicker(key);
+
+      // Character not captured: use the fallback chain, or leave a gap when it has nothing
+      const fallback = captured ? null : this.findFallback(key, random);
+      if (!captured) {
+        missingChars.push(glyphKey);
+      }
+      if (!captured && !fallback) {
+        xPosition += this.config.fontSize * 0.5;
+        prevJoinable = false;
+        prevKey = null;
+        i += step;
+        continue;
+      }
+      const charData = captured || fallback.charData;
+
+      // Manual pair kerning from the spacing editor wins over optical kerning
+      if (prevKey) {
+        const manual = this.activeFont.getPairKerning(prevKey, key);
+        if (manual !== null) {
+          xPosition += manual * this.config.fontSize;
+        } else if (this.config.kerning) {
+          xPosition +=
+            this.activeFont.getKerning(prevKey, key) *
+            this.config.kerningStrength *
+            this.config.fontSize;
+        }
+      }
+      prevKey = key;
+      const bearings = this.activeFont.getSideBearings(key);
+      xPosition += bearings.left * this.config.fontSize;
+
+      const isCapital = /^[A-Z]$/.test(key);
+
+      // Normalize strokes to 0-1 range based on character bounds
+      let normalizedStrokes = StrokeProcessor.normalize(
+        JSON.parse(JSON.stringify(charData.strokes)),
+        charData.bounds,
+        charData.metrics,
+      );
+      const baselineNorm = StrokeProcessor.getBaselineNorm(charData);
+      if (fallback?.transform) {
+        normalizedStrokes = fallback.transform(normalizedStrokes, baselineNorm);
+      }
+
+      // Apply variation to normalized strokes
+      const variationConfig = {
+        positionJitter: this.config.variation * 0.01,
+        rotationRange: this.config.variation * 1.5,
+        scaleRange: this.config.variation * 0.02,
+        random: random,
+      };
+
+      const variedStrokes = StrokeProcessor.applyVariation(
+        normalizedStrokes,
+        variationConfig,
+      );
+
+      const yOffset = startY - baselineNorm * this.config.fontSize;
+
+      // Capitals and placeholders are never joined; the connectors are built once the word is placed
+      const joinable =
+        !isCapital &&
+        fallback?.step !== "placeholder" &&
+        StrokeProcessor.extractConnectors(variedStrokes) !== null;
+      placed.push({
+        key: key,
+        x: xPosition,
+        y: yOffset,
+        size: this.config.fontSize,
+        strokes: variedStrokes.concat(
+          this.attachMarks(variedStrokes, marks, missingChars),
+        ),
+        fallback: fallback ? fallback.step : null,
+        joinsPrevious: this.config.connectCursive && prevJoinable && joinable,
+      });
+      prevJoinable = joinable;
+
+      // Advance by the untrimmed glyph width so joining never changes the layout;
+      // a width set in the metrics editor wins unless a fallback reshaped the glyph
+      const normalizedBounds = StrokeProcessor.calculateBounds(variedStrokes);
+      const normalizedWidth = normalizedBounds.width || 0.6; // fallback
+      const advance = fallback?.transform ? null : charData.advance;
+      const charWidth = (advance ?? normalizedWidth) * this.config.fontSize;
+      xPosition +=
+        charWidth +
+        bearings.right * this.config.fontSize +
+        this.config.letterSpacing;
+      i += step;
+    }
+
+    this.joinGlyphs(placed);
+
+    const inkBounds = createEmptyBounds();
+    placed.forEach((glyph) => {
+      const bounds = StrokeProcessor.calculateBounds(glyph.strokes);
+      includeBounds(
+        inkBounds,
+        {
+          minX: bounds.minX * glyph.size,
+          minY: bounds.minY * glyph.size,
+          maxX: bounds.maxX * glyph.size,
+          maxY: bounds.maxY * glyph.size,
+        },
+        glyph.x,
+        glyph.y,
+      );
+      if (glyph.connector) {
+        this.sampleConnector(glyph.connector).forEach((point) => {
+          includeBounds(inkBounds, {
+            minX: point.x,
+            minY: point.y,
+            maxX: point.x,
+            maxY: point.y,
+          });
+        });
+      }
+    });
+
+    return {
+      svg: this.renderGlyphs(placed),
+      width: xPosition - startX,
+      bounds: inkBounds,
+      glyphs: placed.map(({ joinsPrevious, ...glyph }) => glyph),
+      missing: missingChars,
+    };
+  }
+
+  /**
+   * Longest captured ligature starting at a position, or the single character
+   * @param {string} text - Line text
+   * @param {number} index - Position in text
+   * @returns {string} Glyph key (the text it covers)
+   */
+  findGlyphKey(text, index) {
+    for (const length of this.activeFont.getLigatureLengths()) {
+      if (index + length > text.length) continue;
+      const key = text.slice(index, index + length);
+      if (this.activeFont.hasCharacter(key)) return key;
+    }
+    return text[index];
+  }
+
+  /**
+   * Stand-in for a glyph the active font lacks, from the first fallback step that has one
+   * Steps (config.fallbacks): "otherCase" uses the other case of the letter,
+   * "synthesized" builds the glyph from a related one (a capital scaled to the
+   * x-height, a mirrored bracket or a turned quote), "profile" takes it from
+   * config.fallbackProfile and "placeholder" draws an empty box.
+   * @param {string} key - Missing glyph key
+   * @param {Function} random - Seeded source of values in [0, 1)
+   * @returns {Object|null} {step, charData, transform} where transform(strokes, baseline)
+   *   reshapes the normalized strokes, or null when no step applies
+   */
+  findFallback(key, random) {
+    for (const step of this.config.fallbacks) {
+      const fallback = this.findFallbackStep(step, key, random);
+      if (fallback) return { step, ...fallback };
+    }
+    return null;
+  }
+
+  // One step of findFallback; null when it has nothing for this key
+  findFallbackStep(step, key, random) {
+    const pick = this.variantPicker;
+
+    if (step === "otherCase") {
+      const other =
+        key === key.toLowerCase() ? key.toUpperCase() : key.toLowerCase();
+      const charData = other !== key ? pick(other) : null;
+      return charData ? { charData } : null;
+    }
+
+    if (step === "synthesized") {
+      const capital = key.toUpperCase();
+      const scaled =
+        capital !== key && key === key.toLowerCase() ? pick(capital) : null;
+      if (scaled) {
+        return {
+          charData: scaled,
+          transform: (strokes, baseline) =>
+            scaleToXHeight(strokes, baseline, scaled.metrics),
+        };
+      }
+      const mirrored = MIRRORED_PAIRS[key] ? pick(MIRRORED_PAIRS[key]) : null;
+      if (mirrored) {
+        return {
+          charData: mirrored,
+          transform: (strokes) => flipStrokes(strokes, false),
+        };
+      }
+      const turned = ROTATED_PAIRS[key] ? pick(ROTATED_PAIRS[key]) : null;
+      if (turned) {
+        return {
+          charData: turned,
+          transform: (strokes) => flipStrokes(strokes, true),
+        };
+      }
+      return null;
+    }
+
+    if (step === "profile") {
+      const font = this.fonts[this.config.fallbackProfile];
+      if (!font || font === this.activeFont) return null;
+      const charData = this.getVariantPicker(font, random)(key);
+      return charData ? { charData } : null;
+    }
+
+    if (step === "placeholder") {
+      return { charData: PLACEHOLDER_GLYPH };
+    }
+    return null;
+  }
+
+  /**
+   * Split a character without a captured glyph into a captured base and its marks
+   * A directly captured glyph, such as a precomposed "é", always wins.
+   * @param {string} glyphKey - Glyph key from findGlyphKey
+   * @returns {Object} {key, marks} where marks lists combining characters to attach
+   */
+  decompose(glyphKey) {
+    const font = this.activeFont;
+    const [base, ...marks] = glyphKey.normalize("NFD");
+    if (
+      font.hasCharacter(glyphKey) ||
+      marks.length === 0 ||
+      !font.hasCharacter(base)
+    ) {
+      return { key: glyphKey, marks: [] };
+    }
+
+    const dotless = DOTLESS_LETTERS[base];
+    const hasMarkAbove = marks.some(
+      (mark) => FontData.DIACRITIC_MARKS[mark]?.position === "above",
+    );
+    return {
+      key:
+        dotless && hasMarkAbove && font.hasCharacter(dotless) ? dotless : base,
+      marks,
+    };
+  }
+
+  /**
+   * Place diacritic marks on a base glyph
+   * A mark's anchor goes to the middle of the ink top (bottom for marks below),
+   * so several marks on one letter stack.
+   * @param {Array} strokes - Normalized strokes of the base glyph
+   * @param {Array} marks - Mark keys in order
+   * @param {Array} missingChars - Collects marks that were not captured
+   * @returns {Array} Mark strokes in the base glyph's space, flagged with mark: true
+   */
+  attachMarks(strokes, marks, missingChars) {
+    if (marks.length === 0) return [];
+
+    const baseBounds = StrokeProcessor.calculateBounds(strokes);
+    const centerX = (baseBounds.minX + baseBounds.maxX) / 2;
+    const attached = [];
+
+    marks.forEach((mark) => {
+      const markData = this.variantPicker(mark);
+      if (!markData) {
+        missingChars.push(mark);
+        return;
+      }
+
+      const markStrokes = StrokeProcessor.normalize(
+        JSON.parse(JSON.stringify(markData.strokes)),
+        markData.bounds,
+        markData.metrics,
+      );
+      const below = FontData.DIACRITIC_MARKS[mark]?.position === "below";
+      const anchor =
+        markData.anchor || FontData.defaultAnchor(mark, markData.metrics);
+      const markBounds = StrokeProcessor.calculateBounds(markStrokes);
+      // Without capture metrics the mark rests directly on the base's ink
+      const anchorPoint = anchor
+        ? StrokeProcessor.normalize(
+            [{ points: [anchor] }],
+            markData.bounds,
+            markData.metrics,
+          )[0].points[0]
+        : {
+            x: (markBounds.minX + markBounds.maxX) / 2,
+            y: below ? markBounds.minY : markBounds.maxY,
+          };
+
+      const inkBounds = StrokeProcessor.calculateBounds(
+        strokes.concat(attached),
+      );
+      const dx = centerX - anchorPoint.x;
+      const dy = (below ? inkBounds.maxY : inkBounds.minY) - anchorPoint.y;
+      markStrokes.forEach((stroke) => {
+        attached.push({
+          ...stroke,
+          mark: true,
+          points: stroke.points.map((p) => ({
+            ...p,
+            x: p.x + dx,
+            y: p.y + dy,
+          })),
+        });
+      });
+    });
+
+    return attached;
+  }
+
+  /**
+   * Build the cursive connector of every glyph that joins the one before it
+   * Exit tails and lead-ins that run past each other are first cut back so
+   * they meet between the glyphs; the connector then follows the direction
+   * of both stroke ends and its width runs from one stroke's to the other's.
+   * @param {Array} glyphs - Placed glyphs of one line; strokes are trimmed in
+   *   place and connector is set to {x1, y1, cx1, cy1, cx2, cy2, x2, y2, width, endWidth} or null
+   */
+  joinGlyphs(glyphs) {
+    const toAbsolute = (glyph, point) => ({
+      x: glyph.x + point.x * glyph.size,
+      y: glyph.y + point.y * glyph.size,
+    });
+
+    glyphs.forEach((glyph, index) => {
+      glyph.connector = null;
+      if (!glyph.joinsPrevious) return;
+
+      const prev = glyphs[index - 1];
+      const exitStroke = prev.strokes[getExitStrokeIndex(prev.strokes)];
+      const entryStroke = glyph.strokes[0];
+      const exit = toAbsolute(
+        prev,
+        exitStroke.points[exitStroke.points.length - 1],
+      );
+      const entry = toAbsolute(glyph, entryStroke.points[0]);
+
+      const gap = CONNECTOR_MIN_GAP * glyph.size;
+      if (exit.x > entry.x - gap) {
+        const meet = (exit.x + entry.x) / 2;
+        exitStroke.points = StrokeProcessor.trimTail(
+          exitStroke.points,
+          (meet - gap / 2 - prev.x) / prev.size,
+          true,
+          MAX_TAIL_TRIM,
+        );
+        entryStroke.points = StrokeProcessor.trimTail(
+          entryStroke.points,
+          (meet + gap / 2 - glyph.x) / glyph.size,
+          false,
+          MAX_TAIL_TRIM,
+        );
+      }
+
+      glyph.connector = {
+        ...StrokeProcessor.connectorCurve(
+          toAbsolute(prev, exitStroke.points[exitStroke.points.length - 1]),
+          StrokeProcessor.strokeDirection(exitStroke.points, true),
+          toAbsolute(glyph, entryStroke.points[0]),
+          StrokeProcessor.strokeDirection(entryStroke.points, false),
+        ),
+        width: this.getStrokeWidth(exitStroke.points),
+        endWidth: this.getStrokeWidth(entryStroke.points),
+      };
+    });
+  }
+
+  /**
+   * Points along a connector, with pressure running from one end to the other
+   * @param {Object} connector - Connector from joinGlyphs
+   * @param {number} [startPressure=0.5] - Pressure of the exit stroke's last point
+   * @param {number} [endPressure=0.5] - Pressure of the entry stroke's first point
+   * @returns {Array} CONNECTOR_SAMPLES + 1 points {x, y, pressure} from start to end
+   */
+  sampleConnector(connector, startPressure = 0.5, endPressure = 0.5) {
+    const points = [];
+    for (let i = 0; i <= CONNECTOR_SAMPLES; i++) {
+      const t = i / CONNECTOR_SAMPLES;
+      points.push({
+        ...StrokeProcessor.cubicPoint(connector, t),
+        pressure: startPressure + (endPressure - startPressure) * t,
+      });
+    }
+    return points;
+  }
+
+  /**
+   * Draw placed glyphs with their connectors
+   * In outline mode a stroke that runs into a connector is merged with it and
+   * with the first stroke of the next glyph, so a joined word is one shape
+   * whose width follows pressure without tapering at the joins.
+   * @param {Array} glyphs - Placed glyphs after joinGlyphs
+   * @returns {string} SVG markup
+   */
+  renderGlyphs(glyphs) {
+    let svg = "";
+
+    if (this.config.strokeMode !== "outline") {
+      glyphs.forEach((glyph) => {
+        if (glyph.connector) {
+          svg += this.renderConnector(glyph.connector);
+        }
+        svg += this.renderCharacter(
+          glyph.strokes,
+          glyph.x,
+          glyph.y,
+          glyph.size,
+        );
+      });
+      return svg;
+    }
+
+    let chain = null; // points in px of a stroke that continues into the next glyph
+    glyphs.forEach((glyph, index) => {
+      const joinsNext = Boolean(glyphs[index + 1]?.connector);
+      const last = getExitStrokeIndex(glyph.strokes);
+
+      glyph.strokes.forEach((stroke, strokeIndex) => {
+        let points = stroke.points.map((p) => ({
+          x: glyph.x + p.x * glyph.size,
+          y: glyph.y + p.y * glyph.size,
+          pressure: p.pressure,
+        }));
+        if (strokeIndex === 0 && chain) {
+          const bridge = this.sampleConnector(
+            glyph.connector,
+            chain[chain.length - 1].pressure,
+            points[0].pressure,
+          ).slice(1, -1);
+          points = chain.concat(bridge, points);
+          chain = null;
+        }
+
+        if (strokeIndex === last && joinsNext) {
+          chain = points;
+          return;
+        }
+        if (points.length < 2) return;
+
+        const outlineData = this.svgGenerator.strokeToOutlinePathData(points);
+        svg += `  <path d="${outlineData}" fill="${this.config.strokeColor}" stroke="none"/>\n`;
+      });
+    });
+
+    return svg;
+  }
+
+  /**
+   * Draw a centerline connector whose width steps from the exit stroke's to the entry stroke's
+   * @param {Object} connector - Connector from joinGlyphs
+   * @returns {string} SVG markup
+   */
+  renderConnector(connector) {
+    const steps =
+      Math.abs(connector.endWidth - connector.width) < 0.05
+        ? 1
+        : CONNECTOR_WIDTH_STEPS;
+    let svg = "";
+
+    for (let step = 0; step < steps; step++) {
+      const piece = StrokeProcessor.cubicSegment(
+        connector,
+        step / steps,
+        (step + 1) / steps,
+      );
+      const width =
+        connector.width +
+        (connector.endWidth - connector.width) * ((step + 0.5) / steps);
+      const pathData =
+        `M ${piece.x1.toFixed(2)} ${piece.y1.toFixed(2)} ` +
+        `C ${piece.cx1.toFixed(2)} ${piece.cy1.toFixed(2)}, ${piece.cx2.toFixed(2)} ${piece.cy2.toFixed(2)}, ${piece.x2.toFixed(2)} ${piece.y2.toFixed(2)}`;
+      svg += `  <path d="${pathData}" fill="none" stroke="${this.config.strokeColor}" stroke-width="${width.toFixed(2)}" stroke-linecap="round" stroke-linejoin="round"/>\n`;
+    }
+
+    return svg;
+  }
+
+  /**
+   * Centerline width of a stroke, from its average pressure
+   * @param {Array} points - Stroke points
+   * @returns {number} Width in px
+   */
+  getStrokeWidth(points) {
+    const avgPressure =
+      points.reduce((sum, p) => sum + (p.pressure || 0.5), 0) /
+      (points.length || 1);
+    return StrokeProcessor.mapPressureToWidth(
+      avgPressure,
+      MIN_STROKE_WIDTH,
+      MAX_STROKE_WIDTH,
+    );
+  }
+
+  /**
+   * Create a variant chooser for a single render pass
+   * @param {FontData} fontData - Font to choose from
+   * @param {string} mode - "random", "roundRobin" or "avoidRepeat"
+   * @param {Function} random - Source of values in [0, 1)
+   * @returns {Function} (glyphKey) => glyph record or null, with its selection state in .state
+   */
+  createVariantPicker(fontData, mode, random) {
+    const state = { nextIndex: {}, lastIndex: {} };
+
+    const picker = (glyphKey) => {
+      const count = fontData.getVariantCount(glyphKey);
+      if (count === 0) return null;
+
+      let index = 0;
+      if (count > 1) {
+        if (mode === "roundRobin") {
+          index = (state.nextIndex[glyphKey] || 0) % count;
+          state.nextIndex[glyphKey] = index + 1;
+        } else if (mode === "avoidRepeat" && glyphKey in state.lastIndex) {
+          // Pick from the other variants so the same take never appears twice in a row
+          index = Math.floor(random() * (count - 1));
+          if (index >= state.lastIndex[glyphKey]) index++;
+        } else {
+          index = Math.floor(random() * count);
+        }
+      }
+
+      state.lastIndex[glyphKey] = index;
+      return fontData.getCharacter(glyphKey, index);
+    };
+    picker.state = state;
+    return picker;
+  }
+
+  /**
+   * Draw the centerline strokes of one glyph
+   * @param {Array} strokes - Normalized strokes
+   * @param {number} x - Left edge in px
+   * @param {number} y - Top of the em box in px
+   * @param {number} size - Font size in px
+   * @returns {string} SVG markup
+   */
+  renderCharacter(strokes, x, y, size) {
+    let svg = `  <g transform="translate(${x.toFixed(2)}, ${y.toFixed(2)})">\n`;
+
+    // Generate paths with pressure-based width
+    // Strokes are already normalized to 0-1 range
+    strokes.forEach((stroke) => {
+      if (!stroke.points || stroke.points.length < 2) return;
+
+      const strokeWidth = this.getStrokeWidth(stroke.points);
+
+      // Generate path data (normalized coordinates scaled by size)
+      const pathData = this.generatePathData(stroke.points, size);
+
+      svg += `    <path d="${pathData}" fill="none" stroke="${this.config.strokeColor}" stroke-width="${strokeWidth.toFixed(2)}" stroke-linecap="round" stroke-linejoin="round"/>\n`;
+    });
+
+    svg += `  </g>\n`;
+
+    return svg;
+  }
+
+  generatePathData(points, scale) {
+    if (!points || points.length === 0) return "";
+
+    let pathData = `M ${(points[0].x * scale).toFixed(2)} ${(points[0].y * scale).toFixed(2)}`;
+
+    if (points.length > 2) {
+      // Use quadratic bezier curves for smoothing
+      for (let i = 1; i < points.length - 1; i++) {
+        const curr = points[i];
+        const next = points[i + 1];
+        const cpX = (curr.x * scale).toFixed(2);
+        const cpY = (curr.y * scale).toFixed(2);
+        const endX = (((curr.x + next.x) / 2) * scale).toFixed(2);
+        const endY = (((curr.y + next.y) / 2) * scale).toFixed(2);
+        pathData += ` Q ${cpX} ${cpY}, ${endX} ${endY}`;
+      }
+      // Line to last point
+      const last = points[points.length - 1];
+      pathData += ` L ${(last.x * scale).toFixed(2)} ${(last.y * scale).toFixed(2)}`;
+    } else {
+      // Simple line
+      for (let i = 1; i < points.length; i++) {
+        pathData += ` L ${(points[i].x * scale).toFixed(2)} ${(points[i].y * scale).toFixed(2)}`;
+      }
+    }
+
+    return pathData;
+  }
+}
+
+// Variant picker state is plain data, so a shallow copy of each table is enough
+function copyPickerState(state) {
+  return {
+    nextIndex: { ...state.nextIndex },
+    lastIndex: { ...state.lastIndex },
+  };
+}
+
+function createEmptyBounds() {
+  return { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+}
+
+/**
+ * Grow target bounds to include other bounds, optionally offset
+ * @param {Object} target - Bounds to grow (mutated)
+ * @param {Object} bounds - {minX, minY, maxX, maxY} to include
+ * @param {number} [dx=0] - X offset applied to bounds
+ * @param {number} [dy=0] - Y offset applied to bounds
+ * @returns {Object} target
+ */
+function includeBounds(target, bounds, dx = 0, dy = 0) {
+  if (!isFinite(bounds.minX)) return target;
+  target.minX = Math.min(target.minX, bounds.minX + dx);
+  target.minY = Math.min(target.minY, bounds.minY + dy);
+  target.maxX = Math.max(target.maxX, bounds.maxX + dx);
+  target.maxY = Math.max(target.maxY, bounds.maxY + dy);
+  return target;
+}
+
+/**
+ * Positional form of the glyph covering text[start, end)
+ * Only letters count as word neighbours, so punctuation ends a word.
+ * @param {string} text - Line text
+ * @param {number} start - Index of the glyph's first character
+ * @param {number} end - Index after the glyph's last character
+ * @returns {string} initial | medial | final | isolated
+ */
+function getPositionalForm(text, start, end) {
+  const joinsBefore = start > 0 && WORD_LETTER.test(text[start - 1]);
+  const joinsAfter = end < text.length && WORD_LETTER.test(text[end]);
+  if (joinsBefore && joinsAfter) return "medial";
+  if (joinsAfter) return "initial";
+  if (joinsBefore) return "final";
+  return "isolated";
+}
+
+/**
+ * Index of the stroke a glyph's cursive exit continues from
+ * Diacritic marks are drawn after the letter, so they are skipped.
+ * @param {Array} strokes - Strokes of a placed glyph
+ * @returns {number}
+ */
+function getExitStrokeIndex(strokes) {
+  let index = strokes.length - 1;
+  while (index > 0 && strokes[index].mark) index--;
+  return index;
+}
+
+/**
+ * Shrink a capital about its baseline so its top sits on the x-height
+ * @param {Array} strokes - Normalized strokes of the capital
+ * @param {number} baseline - Normalized baseline
+ * @param {Object} [metrics] - Capture metrics of the capital
+ * @returns {Array} Scaled strokes
+ */
+function scaleToXHeight(strokes, baseline, metrics) {
+  const bounds = StrokeProcessor.calculateBounds(strokes);
+  const xHeight = metrics?.emHeight
+    ? (metrics.baseline - metrics.xHeight) / metrics.emHeight
+    : baseline * 0.5;
+  const capHeight = baseline - bounds.minY;
+  const scale = capHeight > xHeight ? xHeight / capHeight : 1;
+  return strokes.map((stroke) => ({
+    ...stroke,
+    points: stroke.points.map((p) => ({
+      ...p,
+      x: bounds.minX + (p.x - bounds.minX) * scale,
+      y: baseline + (p.y - baseline) * scale,
+    })),
+  }));
+}
+
+/**
+ * Mirror strokes left to right within their bounds, or turn them half a turn
+ * @param {Array} strokes - Normalized strokes
+ * @param {boolean} halfTurn - Also flip top to bottom
+ * @returns {Array} Flipped strokes
+ */
+function flipStrokes(strokes, halfTurn) {
+  const bounds = StrokeProcessor.calculateBounds(strokes);
+  return strokes.map((stroke) => ({
+    ...stroke,
+    points: stroke.points.map((p) => ({
+      ...p,
+      x: bounds.minX + bounds.maxX - p.x,
+      y: halfTurn ? bounds.minY + bounds.maxY - p.y : p.y,
+    })),
+  }));
+}
+
+function escapeXML(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Render text to an SVG string from exported handwriting JSON
+ * @param {string|Object} fontJSON - Exported handwriting data
+ * @param {string} text - Text to render (lines separated by \n)
+ * @param {Object} [options] - Render options plus an optional seed,
+ *   hands ({name: fontJSON}) for {{name}} paragraph markers and
+ *   onFontReport(report, hand) for fonts that needed repairs on load
+ *   (hand is null for the main font) and onUnknownProfiles(names) for
+ *   {{name}} markers that named no hand
+ * @returns {string} SVG markup
+ * @throws {Error} When a font is not valid handwriting data
+ */
+function renderHandwritingSVG(fontJSON, text, options = {}) {
+  const {
+    seed,
+    hands = {},
+    onFontReport,
+    onUnknownProfiles,
+    ...renderOptions
+  } = options;
+  const fonts = {};
+  Object.entries(hands).forEach(([name, json]) => {
+    fonts[name] = loadFontJSON(json, (report) => onFontReport?.(report, name));
+  });
+
+  const renderer = new HandwritingRenderer(
+    loadFontJSON(fontJSON, (report) => onFontReport?.(report, null)),
+    renderOptions,
+    fonts,
+  );
+  const layout = renderer.layoutText(text, seed ?? SeededRandom.generateSeed());
+  if (layout.unknownProfiles.length > 0) {
+    onUnknownProfiles?.(layout.unknownProfiles);
+  }
+  return renderer.buildTextSVG(layout);
+}
+
+// Parsed directly rather than through importJSON, which logs to the console
+function loadFontJSON(fontJSON, onReport) {
+  const json =
+    typeof fontJSON === "string" ? fontJSON : JSON.stringify(fontJSON);
+  let imported;
+  try {
+    imported = FontData.parseJSON(json);
+  } catch (error) {
+    throw new Error(`Invalid handwriting data: ${error.message}`);
+  }
+  if (imported.report.issues.length > 0) {
+    onReport(imported.report);
+  }
+
+  const fontData = new FontData();
+  fontData.replaceWith(imported);
+  return fontData;
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.HandwritingRenderer = HandwritingRenderer;
+  window.renderHandwritingSVG = renderHandwritingSVG;
+}
+
+// Export for Node.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    HandwritingRenderer,
+    renderHandwritingSVG,
+    DEFAULT_RENDER_OPTIONS,
+  };
+}
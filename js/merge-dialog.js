@@ -0,0 +1,277 @@
+/**
+ * Merge Dialog
+ * Reviews an imported font against the current one before anything is saved
+ */
+
+const MERGE_CHOICES = {
+  new: [
+    ["theirs", "Add"],
+    ["mine", "Skip"],
+  ],
+  changed: [
+    ["mine", "Keep mine"],
+    ["theirs", "Take theirs"],
+    ["both", "Keep both as variants"],
+  ],
+};
+
+class MergeDialog {
+  /**
+   * Parse a font file and let the user review it against the current font
+   * Nothing changes until the user confirms; parse errors are alerted.
+   * @param {FontData} fontData - Font being imported into
+   * @param {string} jsonString - Contents of the imported file
+   * @param {Function} onImported - Called with a summary message after a merge or replace
+   */
+  static show(fontData, jsonString, onImported) {
+    let imported;
+    try {
+      imported = FontData.parseJSON(jsonString);
+    } catch (error) {
+      console.error("Error importing JSON:", error);
+      alert(
+        `Error importing data: ${error.message}\nPlease check the file format.`,
+      );
+      return;
+    }
+
+    new MergeDialog(fontData, imported, {
+      onMerge: (resolutions) => {
+        const counts = fontData.merge(
+          imported.characters,
+          resolutions,
+          imported.spacing,
+        );
+        onImported(
+          `Merged: ${counts.added} added, ${counts.replaced} replaced, ${counts.combined} combined, ${counts.spacing} spacing value(s) taken.`,
+        );
+      },
+      onReplace: () => {
+        fontData.replaceWith(imported);
+        const stats = fontData.getStatistics();
+        onImported(
+          `Font replaced: ${stats.capturedCount} characters, ${stats.variantCount} variants.`,
+        );
+      },
+    }).open();
+  }
+
+  /**
+   * @param {FontData} fontData - Font being imported into
+   * @param {Object} imported - Result of FontData.parseJSON
+   * @param {Object} callbacks - {onMerge(resolutions), onReplace(), onCancel()}
+   */
+  constructor(fontData, imported, callbacks = {}) {
+    this.fontData = fontData;
+    this.imported = imported;
+    this.callbacks = callbacks;
+    this.entries = fontData.diff(imported.characters);
+    this.resolutions = {};
+    this.element = null;
+    this.handleKeydown = (e) => {
+      if (e.key === "Escape") this.close("onCancel");
+    };
+  }
+
+  open() {
+    this.element = document.createElement("div");
+    this.element.className = "modal-overlay";
+    this.element.innerHTML = this.render();
+    document.body.appendChild(this.element);
+    document.addEventListener("keydown", this.handleKeydown);
+
+    this.element.querySelectorAll("select[data-char]").forEach((select) => {
+      select.addEventListener("change", (e) => {
+        this.resolutions[e.target.dataset.char] = e.target.value;
+      });
+    });
+
+    this.element.querySelectorAll("[data-bulk]").forEach((button) => {
+      button.addEventListener("click", (e) =>
+        this.setAllChanged(e.target.dataset.bulk),
+      );
+    });
+
+    this.element
+      .querySelector("[data-action='merge']")
+      .addEventListener("click", () => this.close("onMerge", this.resolutions));
+    this.element
+      .querySelector("[data-action='replace']")
+      .addEventListener("click", () => {
+        if (
+          confirm(
+            "Replace the whole font with the imported file? Characters that are only in your font will be lost.",
+          )
+        ) {
+          this.close("onReplace");
+        }
+      });
+    this.element
+      .querySelector("[data-action='cancel']")
+      .addEventListener("click", () => this.close("onCancel"));
+  }
+
+  /**
+   * Remove the dialog and notify the caller
+   * @param {string} callback - Name of the callback to run
+   * @param {*} [arg] - Argument for the callback
+   */
+  close(callback, arg) {
+    document.removeEventListener("keydown", this.handleKeydown);
+    this.element?.remove();
+    this.element = null;
+    this.callbacks[callback]?.(arg);
+  }
+
+  /**
+   * Apply one resolution to every changed character
+   * @param {string} choice - "mine", "theirs" or "both"
+   */
+  setAllChanged(choice) {
+    this.entries
+      .filter((entry) => entry.status === "changed")
+      .forEach((entry) => {
+        this.resolutions[entry.char] = choice;
+      });
+    this.element
+      .querySelectorAll("select[data-status='changed']")
+      .forEach((select) => {
+        select.value = choice;
+      });
+  }
+
+  render() {
+    const groups = { new: [], changed: [], identical: [] };
+    this.entries.forEach((entry) => groups[entry.status].push(entry));
+
+    const report = FontSchema.formatReport(this.imported.report);
+    const spacing = countSpacing(this.imported.spacing);
+    const rows = (entries) =>
+      entries.map((entry) => this.renderRow(entry)).join("");
+
+    return `
+      <div class="modal merge-dialog" role="dialog" aria-modal="true" aria-labelledby="mergeTitle">
+        <h2 id="mergeTitle">Import Handwriting Data</h2>
+        <p class="merge-summary">
+          <span class="merge-status new">${groups.new.length} new</span>
+          <span class="merge-status changed">${groups.changed.length} changed</span>
+          <span class="merge-status identical">${groups.identical.length} identical</span>
+        </p>
+        ${
+          spacing > 0
+            ? `<p class="merge-spacing">The file has ${spacing} manual spacing value(s). They fill in spacing your font lacks, and replace yours for characters whose glyphs you take from the file.</p>`
+            : ""
+        }
+        ${report ? `<pre class="merge-report">${escapeHTML(report)}</pre>` : ""}
+        ${
+          groups.changed.length > 0
+            ? `<div class="merge-bulk">
+                <span>All changed:</span>
+                <button class="secondary" data-bulk="mine">Keep mine</button>
+                <button class="secondary" data-bulk="theirs">Take theirs</button>
+                <button class="secondary" data-bulk="both">Keep both</button>
+              </div>`
+            : ""
+        }
+        <div class="merge-list">
+          <div class="merge-row merge-header">
+            <span>Char</span><span>Mine</span><span>Theirs</span><span>Action</span>
+          </div>
+          ${rows(groups.changed)}
+          ${rows(groups.new)}
+          ${
+            groups.identical.length > 0
+              ? `<details><summary>${groups.identical.length} identical (nothing to do)</summary>${rows(groups.identical)}</details>`
+              : ""
+          }
+        </div>
+        <div class="merge-actions">
+          <button class="secondary" data-action="cancel">Cancel</button>
+          <button class="secondary" data-action="replace">Replace Whole Font</button>
+          <button class="primary" data-action="merge">Merge &amp; Save</button>
+        </div>
+      </div>`;
+  }
+
+  renderRow(entry) {
+    const thumbs = (variants) =>
+      variants.map((glyph) => MergeDialog.thumbnail(glyph)).join("") || "—";
+    const choices = MERGE_CHOICES[entry.status];
+    const action = choices
+      ? `<select data-char="${escapeHTML(entry.char)}" data-status="${entry.status}">
+          ${choices.map(([value, label]) => `<option value="${value}">${label}</option>`).join("")}
+        </select>`
+      : "";
+
+    return `
+      <div class="merge-row ${entry.status}">
+        <span class="merge-char">${entry.char === " " ? "␣" : escapeHTML(entry.char)}</span>
+        <span class="merge-thumbs">${thumbs(entry.mine)}</span>
+        <span class="merge-thumbs">${thumbs(entry.theirs)}</span>
+        <span>${action}</span>
+      </div>`;
+  }
+
+  /**
+   * Small inline SVG preview of a glyph
+   * @param {Object} glyph - Glyph record
+   * @param {number} [size=40] - Thumbnail size in px
+   * @returns {string} SVG markup
+   */
+  static thumbnail(glyph, size = 40) {
+    const strokes = StrokeProcessor.normalize(
+      glyph.strokes,
+      glyph.bounds,
+      glyph.metrics,
+    );
+    const bounds = StrokeProcessor.calculateBounds(strokes);
+    const extent = Math.max(bounds.width, bounds.height, 0.1);
+    const pad = extent * 0.1;
+    const viewBox = [
+      bounds.minX - pad,
+      bounds.minY - pad,
+      extent + pad * 2,
+      extent + pad * 2,
+    ]
+      .map((value) => value.toFixed(3))
+      .join(" ");
+
+    const paths = strokes
+      .map((stroke) => {
+        const d = stroke.points
+          .map(
+            (p, i) =>
+              `${i === 0 ? "M" : "L"} ${p.x.toFixed(3)} ${p.y.toFixed(3)}`,
+          )
+          .join(" ");
+        // A zero-length segment with round caps draws a single-point stroke as a dot
+        return `<path d="${d}${stroke.points.length === 1 ? " l 0 0" : ""}"/>`;
+      })
+      .join("");
+
+    return `<svg class="glyph-thumb" width="${size}" height="${size}" viewBox="${viewBox}"><g fill="none" stroke="currentColor" stroke-width="${(extent * 0.05).toFixed(3)}" stroke-linecap="round" stroke-linejoin="round">${paths}</g></svg>`;
+  }
+}
+
+// Kerning pairs plus characters with side bearings
+function countSpacing(spacing) {
+  if (!spacing) return 0;
+  const pairs = Object.values(spacing.kerning || {}).reduce(
+    (total, seconds) => total + Object.keys(seconds).length,
+    0,
+  );
+  return pairs + Object.keys(spacing.sideBearings || {}).length;
+}
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.MergeDialog = MergeDialog;
+}
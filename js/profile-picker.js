@@ -0,0 +1,196 @@
+/**
+ * Profile Picker
+ * Wires the profile, snapshot and save-warning controls shared by the
+ * capture and render pages
+ */
+
+class ProfilePicker {
+  /**
+   * @param {FontLibrary} library - Loaded font library
+   * @param {Function} onSwitch - Called after the active profile changes
+   */
+  constructor(library, onSwitch) {
+    this.library = library;
+    this.onSwitch = onSwitch;
+    this.select = document.getElementById("profileSelect");
+    this.snapshotSelect = document.getElementById("snapshotSelect");
+  }
+
+  setup() {
+    this.library.onSaveStatus = (error) => this.showSaveStatus(error);
+
+    this.select.addEventListener("change", (e) => {
+      this.library.setActive(e.target.value);
+      this.refreshSnapshots();
+      this.onSwitch();
+    });
+
+    // List is read when opened so autosaves taken since show up
+    this.snapshotSelect.addEventListener("focus", () =>
+      this.refreshSnapshots(),
+    );
+    document
+      .getElementById("restoreSnapshot")
+      .addEventListener("click", () => this.restoreSnapshot());
+
+    document
+      .getElementById("newProfile")
+      .addEventListener("click", () => this.createProfile());
+    document
+      .getElementById("renameProfile")
+      .addEventListener("click", () => this.renameProfile());
+    document
+      .getElementById("duplicateProfile")
+      .addEventListener("click", () => this.duplicateProfile());
+    document
+      .getElementById("deleteProfile")
+      .addEventListener("click", () => this.deleteProfile());
+
+    this.refresh();
+  }
+
+  refresh() {
+    this.select.innerHTML = "";
+    this.library.getProfiles().forEach((profile) => {
+      const option = document.createElement("option");
+      option.value = profile.id;
+      option.textContent = profile.name;
+      this.select.appendChild(option);
+    });
+    this.select.value = this.library.activeId;
+    this.refreshSnapshots();
+  }
+
+  async refreshSnapshots() {
+    let snapshots = [];
+    try {
+      snapshots = await this.library.listSnapshots();
+    } catch (error) {
+      console.error("Error listing snapshots:", error);
+    }
+
+    const selected = this.snapshotSelect.value;
+    this.snapshotSelect.innerHTML = "";
+    if (snapshots.length === 0) {
+      this.snapshotSelect.innerHTML = "<option value=''>None yet</option>";
+      return;
+    }
+    snapshots.forEach((snapshot) => {
+      const option = document.createElement("option");
+      option.value = snapshot.id;
+      option.textContent = `${new Date(snapshot.created).toLocaleString()} — ${snapshot.label} (${snapshot.capturedCount} chars)`;
+      this.snapshotSelect.appendChild(option);
+    });
+    if (selected) this.snapshotSelect.value = selected;
+  }
+
+  restoreSnapshot() {
+    const option = this.snapshotSelect.selectedOptions[0];
+    if (!option?.value) return;
+    if (
+      !confirm(
+        `Restore "${this.library.getActiveProfile().name}" to the snapshot from ${option.textContent}? The current font is kept as a snapshot first.`,
+      )
+    ) {
+      return;
+    }
+    this.run(async () => {
+      const restored = await this.library.restoreSnapshot(Number(option.value));
+      if (!restored) {
+        throw new Error("The snapshot could not be saved as the current font.");
+      }
+    }, true);
+  }
+
+  /**
+   * Show or clear the warning that the last save failed
+   * @param {Error|null} error - Save error, or null after a successful save
+   */
+  showSaveStatus(error) {
+    ProfilePicker.showWarning(
+      error
+        ? `Your last change could not be saved: ${error.message} Export your data as JSON to keep a copy.`
+        : "",
+    );
+  }
+
+  /**
+   * Report fonts that could not be loaded when the page started
+   * @param {Error} error - Load error
+   */
+  static showLoadError(error) {
+    console.error("Error loading handwriting data:", error);
+    ProfilePicker.showWarning(
+      `Your fonts could not be loaded: ${error.message} Reload the page to try again.`,
+    );
+  }
+
+  /**
+   * Show or clear the storage warning of the page, also before the picker is set up
+   * @param {string} message - Warning text, or "" to hide it
+   */
+  static showWarning(message) {
+    const warning = document.getElementById("saveWarning");
+    warning.classList.toggle("hidden", !message);
+    warning.textContent = message ? `⚠️ ${message}` : "";
+  }
+
+  createProfile() {
+    const name = prompt("Name for the new profile:", "");
+    if (name === null) return;
+    this.run(() => {
+      const profile = this.library.createProfile(name);
+      this.library.setActive(profile.id);
+    }, true);
+  }
+
+  renameProfile() {
+    const profile = this.library.getActiveProfile();
+    const name = prompt("Rename profile:", profile.name);
+    if (name === null) return;
+    this.run(() => this.library.renameProfile(profile.id, name), false);
+  }
+
+  duplicateProfile() {
+    const profile = this.library.getActiveProfile();
+    const name = prompt("Name for the copy:", `${profile.name} copy`);
+    if (name === null) return;
+    this.run(async () => {
+      const copy = await this.library.duplicateProfile(profile.id, name);
+      this.library.setActive(copy.id);
+    }, true);
+  }
+
+  deleteProfile() {
+    const profile = this.library.getActiveProfile();
+    if (
+      !confirm(
+        `Delete the profile "${profile.name}" and all its characters? This cannot be undone.`,
+      )
+    ) {
+      return;
+    }
+    this.run(() => this.library.deleteProfile(profile.id), true);
+  }
+
+  /**
+   * Run a library change, report errors and refresh the page
+   * @param {Function} action - Change to apply (may return a promise)
+   * @param {boolean} switched - Whether the active profile changed
+   */
+  async run(action, switched) {
+    try {
+      await action();
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    this.refresh();
+    if (switched) this.onSwitch();
+  }
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.ProfilePicker = ProfilePicker;
+}
@@ -0,0 +1,103 @@
+/**
+ * Revision Panel
+ * Lists earlier versions of the character being edited on the capture page
+ */
+
+class RevisionPanel {
+  /**
+   * @param {FontLibrary} library - Loaded font library
+   * @param {Object} callbacks - {onRestore(revision), onCompare(revision|null)}
+   */
+  constructor(library, callbacks = {}) {
+    this.library = library;
+    this.callbacks = callbacks;
+    this.list = document.getElementById("revisionList");
+    this.char = null;
+    this.revisions = [];
+    this.comparingId = null;
+  }
+
+  /**
+   * Show the revisions of a character
+   * @param {string} char - Character being edited
+   */
+  async show(char) {
+    if (char !== this.char) {
+      this.char = char;
+      this.setComparing(null);
+    }
+    await this.refresh();
+  }
+
+  async refresh() {
+    const char = this.char;
+    let revisions = [];
+    try {
+      revisions = await this.library.listRevisions(char);
+    } catch (error) {
+      console.error("Error listing revisions:", error);
+    }
+    // Another character may have been opened while the list was loading
+    if (char !== this.char) return;
+
+    this.revisions = revisions;
+    this.render();
+  }
+
+  render() {
+    if (this.revisions.length === 0) {
+      this.list.innerHTML = `<p class="revision-empty">No earlier versions of "${escapeHTML(FontData.describeKey(this.char))}" yet. Saving over or deleting a variant keeps the old one here.</p>`;
+      return;
+    }
+
+    this.list.innerHTML = this.revisions
+      .map(
+        (revision) => `
+        <div class="revision-row${revision.id === this.comparingId ? " comparing" : ""}">
+          ${MergeDialog.thumbnail(revision.glyph, 56)}
+          <span class="revision-info">
+            Variant ${revision.variant + 1}<br />
+            <small>${new Date(revision.saved).toLocaleString()}</small>
+          </span>
+          <button class="secondary" data-compare="${revision.id}">
+            ${revision.id === this.comparingId ? "Hide" : "Compare"}
+          </button>
+          <button class="secondary" data-restore="${revision.id}">Restore</button>
+        </div>`,
+      )
+      .join("");
+
+    this.list.querySelectorAll("[data-compare]").forEach((button) => {
+      button.addEventListener("click", (e) => {
+        const id = Number(e.target.dataset.compare);
+        this.setComparing(id === this.comparingId ? null : id);
+        this.render();
+      });
+    });
+    this.list.querySelectorAll("[data-restore]").forEach((button) => {
+      button.addEventListener("click", (e) => {
+        const id = Number(e.target.dataset.restore);
+        this.setComparing(null);
+        this.callbacks.onRestore?.(this.findRevision(id));
+      });
+    });
+  }
+
+  /**
+   * Overlay a revision on the canvas, or stop comparing
+   * @param {number|null} id - Revision id
+   */
+  setComparing(id) {
+    this.comparingId = id;
+    this.callbacks.onCompare?.(id === null ? null : this.findRevision(id));
+  }
+
+  findRevision(id) {
+    return this.revisions.find((revision) => revision.id === id) || null;
+  }
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.RevisionPanel = RevisionPanel;
+}
@@ -0,0 +1,73 @@
+/**
+ * Seeded Random
+ * Small deterministic PRNG so a render can be reproduced from its seed
+ */
+
+class SeededRandom {
+  /**
+   * @param {number|string} seed - Integer seed or any string (hashed to 32 bits)
+   */
+  constructor(seed) {
+    this.seed = seed;
+    this.state = SeededRandom.hashSeed(seed);
+  }
+
+  /**
+   * Next value in [0, 1) using mulberry32
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Bound next() so the generator can stand in for Math.random
+   * @returns {Function} () => number in [0, 1)
+   */
+  toFunction() {
+    return () => this.next();
+  }
+
+  /**
+   * Convert a seed to a 32-bit integer state
+   * Integer strings map to their value so "42" and 42 give the same output.
+   * @param {number|string} seed - Seed value
+   * @returns {number} 32-bit unsigned integer
+   */
+  static hashSeed(seed) {
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash for free-form seeds
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Create a fresh random seed for renders that did not request one
+   * @returns {number} Integer seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.SeededRandom = SeededRandom;
+}
+
+// Export for Node.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SeededRandom;
+}
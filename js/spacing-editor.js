@@ -0,0 +1,310 @@
+/**
+ * Spacing Editor
+ * Adjusts manual pair kerning and side bearings by dragging rendered glyphs
+ */
+
+// Global variables
+let fontData;
+let fontLibrary;
+let layout = null;
+let selectedIndex = null; // index into layout.glyphs
+let drag = null;
+
+const EM_UNITS = 1000; // values are shown in thousandths of an em
+const SPACING_SEED = "spacing";
+const previewConfig = {
+  ...DEFAULT_RENDER_OPTIONS,
+  fontSize: 120,
+  variation: 0,
+  variantMode: "roundRobin",
+  margin: 30,
+};
+
+// Initialize on page load
+document.addEventListener("DOMContentLoaded", () => {
+  initializeEditor().catch(ProfilePicker.showLoadError);
+});
+
+async function initializeEditor() {
+  fontLibrary = new FontLibrary();
+  fontLibrary.onBlocked = (error) =>
+    ProfilePicker.showWarning(error ? error.message : "");
+  await fontLibrary.load();
+  fontData = await fontLibrary.loadFont();
+
+  new ProfilePicker(fontLibrary, async () => {
+    fontData = await fontLibrary.loadFont();
+    selectedIndex = null;
+    renderPreview();
+  }).setup();
+
+  setupUI();
+  renderPreview();
+}
+
+function setupUI() {
+  document.getElementById("spacingText").addEventListener("input", () => {
+    selectedIndex = null;
+    renderPreview();
+  });
+
+  document.getElementById("opticalKerning").addEventListener("change", (e) => {
+    previewConfig.kerning = e.target.checked;
+    renderPreview();
+  });
+
+  // Dragging a glyph; the preview is re-rendered, so listen on the container
+  const container = document.getElementById("spacingPreview");
+  container.addEventListener("pointerdown", startDrag);
+  window.addEventListener("pointermove", continueDrag);
+  window.addEventListener("pointerup", endDrag);
+  window.addEventListener("pointercancel", endDrag);
+
+  // Exact values
+  document.getElementById("pairKerning").addEventListener("change", (e) => {
+    const pair = getSelectedPair();
+    if (!pair || e.target.value === "") return;
+    fontData.setPairKerning(pair.first, pair.second, fromUnits(e.target.value));
+    saveSpacing();
+  });
+
+  document.getElementById("autoKerning").addEventListener("click", () => {
+    const pair = getSelectedPair();
+    if (!pair) return;
+    fontData.setPairKerning(pair.first, pair.second, null);
+    saveSpacing();
+  });
+
+  ["leftBearing", "rightBearing"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", () => {
+      const glyph = getSelectedGlyph();
+      if (!glyph) return;
+      fontData.setSideBearings(
+        glyph.key,
+        fromUnits(document.getElementById("leftBearing").value),
+        fromUnits(document.getElementById("rightBearing").value),
+      );
+      saveSpacing();
+    });
+  });
+
+  document.getElementById("resetBearings").addEventListener("click", () => {
+    const glyph = getSelectedGlyph();
+    if (!glyph) return;
+    fontData.setSideBearings(glyph.key, 0, 0);
+    saveSpacing();
+  });
+}
+
+/**
+ * Render the test text with the glyph hit areas on top
+ * @param {Object} [fixedBounds] - Keep this viewBox (used while dragging so the view does not jump)
+ */
+function renderPreview(fixedBounds) {
+  const container = document.getElementById("spacingPreview");
+  const text = document.getElementById("spacingText").value;
+
+  if (fontData.getStatistics().capturedCount === 0) {
+    layout = null;
+    container.innerHTML =
+      "<p class='spacing-empty'>This profile has no captured characters yet.</p>";
+    updatePanel();
+    return;
+  }
+
+  const renderer = new HandwritingRenderer(fontData, previewConfig);
+  layout = renderer.layoutText(text, SPACING_SEED);
+  const overlay = layout.glyphs
+    .map((glyph, index) => renderHitArea(glyph, index))
+    .join("");
+  container.innerHTML = renderer.buildTextSVG(
+    fixedBounds ? { ...layout, bounds: fixedBounds } : layout,
+    layout.svg + overlay,
+  );
+  updatePanel();
+}
+
+function renderHitArea(glyph, index) {
+  const bounds = StrokeProcessor.calculateBounds(glyph.strokes);
+  const pad = 4;
+  const x = glyph.x + bounds.minX * glyph.size - pad;
+  const y = glyph.y + bounds.minY * glyph.size - pad;
+  const width = bounds.width * glyph.size + pad * 2;
+  const height = bounds.height * glyph.size + pad * 2;
+  const selected = index === selectedIndex ? " selected" : "";
+  return `  <rect class="glyph-hit${selected}" data-glyph="${index}" x="${x.toFixed(2)}" y="${y.toFixed(2)}" width="${width.toFixed(2)}" height="${height.toFixed(2)}"/>\n`;
+}
+
+function getSelectedGlyph() {
+  return layout && selectedIndex !== null ? layout.glyphs[selectedIndex] : null;
+}
+
+/**
+ * The pair formed by the selected glyph and the one before it in the same word
+ * @returns {Object|null} {first, second} glyph keys
+ */
+function getSelectedPair() {
+  const glyph = getSelectedGlyph();
+  if (!glyph || glyph.wordStart) return null;
+  return { first: layout.glyphs[selectedIndex - 1].key, second: glyph.key };
+}
+
+// Kerning currently applied to a pair, manual or optical
+function getEffectiveKerning(pair) {
+  const manual = fontData.getPairKerning(pair.first, pair.second);
+  if (manual !== null) return manual;
+  return previewConfig.kerning
+    ? fontData.getKerning(pair.first, pair.second) *
+        previewConfig.kerningStrength
+    : 0;
+}
+
+function startDrag(e) {
+  const hit = e.target.closest("[data-glyph]");
+  if (!hit) return;
+
+  selectedIndex = Number(hit.dataset.glyph);
+  const glyph = getSelectedGlyph();
+  const pair = getSelectedPair();
+  const mode = document.querySelector("input[name='dragMode']:checked").value;
+  const bearings = fontData.getSideBearings(glyph.key);
+  const startValue = {
+    kerning: pair ? getEffectiveKerning(pair) : null,
+    left: bearings.left,
+    right: bearings.right,
+  }[mode];
+
+  drag =
+    startValue === null
+      ? null
+      : {
+          mode,
+          startValue,
+          startX: e.clientX,
+          // Screen pixels per SVG unit
+          scale: hit.ownerSVGElement.getScreenCTM()?.a || 1,
+          bounds: { ...layout.bounds },
+          moved: false,
+        };
+  e.preventDefault();
+  renderPreview();
+}
+
+function continueDrag(e) {
+  if (!drag) return;
+
+  const delta = (e.clientX - drag.startX) / drag.scale / previewConfig.fontSize;
+  const value = Math.round((drag.startValue + delta) * EM_UNITS) / EM_UNITS;
+  const glyph = getSelectedGlyph();
+  const bearings = fontData.getSideBearings(glyph.key);
+
+  if (drag.mode === "kerning") {
+    const pair = getSelectedPair();
+    fontData.setPairKerning(pair.first, pair.second, value);
+  } else if (drag.mode === "left") {
+    fontData.setSideBearings(glyph.key, value, bearings.right);
+  } else {
+    fontData.setSideBearings(glyph.key, bearings.left, value);
+  }
+  drag.moved = true;
+  renderPreview(drag.bounds);
+}
+
+function endDrag() {
+  if (!drag) return;
+  const moved = drag.moved;
+  drag = null;
+  if (moved) {
+    saveSpacing();
+  } else {
+    renderPreview();
+  }
+}
+
+function saveSpacing() {
+  fontLibrary.saveSpacing(fontData);
+  renderPreview();
+}
+
+// Show the values of the selected glyph and the list of manual pairs
+function updatePanel() {
+  const glyph = getSelectedGlyph();
+  const pair = getSelectedPair();
+  const label = document.getElementById("selectedGlyph");
+  const kerningInput = document.getElementById("pairKerning");
+
+  if (!glyph) {
+    label.textContent = "Click a glyph to select it";
+  } else {
+    label.textContent = pair
+      ? `Pair "${pair.first}${pair.second}"`
+      : `Glyph "${glyph.key}" (starts a word, no pair)`;
+  }
+
+  kerningInput.disabled = !pair;
+  document.getElementById("autoKerning").disabled = !pair;
+  if (pair) {
+    const manual = fontData.getPairKerning(pair.first, pair.second);
+    kerningInput.value = manual === null ? "" : toUnits(manual);
+    kerningInput.placeholder = `auto ${toUnits(getEffectiveKerning(pair))}`;
+  } else {
+    kerningInput.value = "";
+    kerningInput.placeholder = "";
+  }
+
+  const bearings = glyph ? fontData.getSideBearings(glyph.key) : null;
+  ["leftBearing", "rightBearing", "resetBearings"].forEach((id) => {
+    document.getElementById(id).disabled = !glyph;
+  });
+  document.getElementById("leftBearing").value = bearings
+    ? toUnits(bearings.left)
+    : "";
+  document.getElementById("rightBearing").value = bearings
+    ? toUnits(bearings.right)
+    : "";
+
+  renderPairList();
+}
+
+function renderPairList() {
+  const list = document.getElementById("kerningPairs");
+  const pairs = [];
+  Object.entries(fontData.spacing.kerning).forEach(([first, seconds]) => {
+    Object.entries(seconds).forEach(([second, value]) => {
+      pairs.push({ first, second, value });
+    });
+  });
+
+  if (pairs.length === 0) {
+    list.innerHTML = "<p class='spacing-empty'>No manual pairs yet.</p>";
+    return;
+  }
+
+  list.innerHTML = "";
+  pairs.forEach(({ first, second, value }) => {
+    const row = document.createElement("div");
+    row.className = "spacing-pair";
+    const name = document.createElement("span");
+    name.textContent = `${first}${second}  ${toUnits(value)}`;
+    const remove = document.createElement("button");
+    remove.className = "secondary";
+    remove.textContent = "Auto";
+    remove.title = "Remove the manual value";
+    remove.addEventListener("click", () => {
+      fontData.setPairKerning(first, second, null);
+      saveSpacing();
+    });
+    row.appendChild(name);
+    row.appendChild(remove);
+    list.appendChild(row);
+  });
+}
+
+function toUnits(em) {
+  return Math.round(em * EM_UNITS);
+}
+
+function fromUnits(value) {
+  const number = parseFloat(value);
+  return isFinite(number) ? number / EM_UNITS : 0;
+}
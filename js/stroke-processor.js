@@ -183,6 +183,7 @@ class StrokeProcessor {
    * Apply natural variation to strokes for realistic appearance
    * @param {Array} strokes - Array of stroke objects
    * @param {Object} config - Variation configuration
+   * @param {Function} [config.random] - Source of values in [0, 1) (default: Math.random); pass a seeded generator for reproducible output
    * @returns {Array} Varied strokes
    */
   static applyVariation(strokes, config = {}) {
@@ -190,14 +191,14 @@ class StrokeProcessor {
       positionJitter = 0.02, // Position variation (normalized units)
       rotationRange = 3, // Rotation in degrees
       scaleRange = 0.05, // Scale variation (0.05 = ±5%)
+      random = Math.random,
     } = config;
 
-    // Random variation values
-    const rotation =
-      (Math.random() - 0.5) * 2 * rotationRange * (Math.PI / 180);
-    const scale = 1 + (Math.random() - 0.5) * 2 * scaleRange;
-    const offsetX = (Math.random() - 0.5) * 2 * positionJitter;
-    const offsetY = (Math.random() - 0.5) * 2 * positionJitter;
+    // Random variation values (always drawn in this order so seeded renders repeat)
+    const rotation = (random() - 0.5) * 2 * rotationRange * (Math.PI / 180);
+    const scale = 1 + (random() - 0.5) * 2 * scaleRange;
+    const offsetX = (random() - 0.5) * 2 * positionJitter;
+    const offsetY = (random() - 0.5) * 2 * positionJitter;
 
     // Calculate center point for rotation
     const bounds = this.calculateBounds(strokes);
@@ -232,6 +233,34 @@ class StrokeProcessor {
     }));
   }
 
+  /**
+   * Scale, slant and move strokes around an origin, keeping every other point field
+   * @param {Array} strokes - Array of stroke objects
+   * @param {Object} transform - {originX, originY, scale, shear, dy}; shear moves x by shear × (y - originY) before scaling
+   * @returns {Array} Transformed strokes
+   */
+  static transformStrokes(strokes, transform) {
+    const {
+      originX = 0,
+      originY = 0,
+      scale = 1,
+      shear = 0,
+      dy = 0,
+    } = transform;
+
+    return strokes.map((stroke) => ({
+      ...stroke,
+      points: stroke.points.map((point) => {
+        const y = point.y - originY;
+        return {
+          ...point,
+          x: originX + (point.x - originX + y * shear) * scale,
+          y: originY + y * scale + dy,
+        };
+      }),
+    }));
+  }
+
   /**
    * Extract entry/exit connector points for cursive joining.
    * Strokes should already be normalized to 0-1 space.
@@ -256,6 +285,172 @@ class StrokeProcessor {
     };
   }
 
+  /**
+   * Direction in which a stroke enters its first point or leaves its last
+   * Rendered paths end in straight segments, so this is their tangent there.
+   * @param {Array} points - Stroke points
+   * @param {boolean} atEnd - Direction at the last point (true) or the first (false)
+   * @returns {Object|null} Unit vector {x, y}, or null if the stroke has no length
+   */
+  static strokeDirection(points, atEnd) {
+    const pts = atEnd ? points.slice().reverse() : points;
+    const origin = pts[0];
+    const other = pts.find((p) => p.x !== origin.x || p.y !== origin.y);
+    if (!other) return null;
+
+    const sign = atEnd ? -1 : 1;
+    const length = Math.hypot(other.x - origin.x, other.y - origin.y);
+    return {
+      x: (sign * (other.x - origin.x)) / length,
+      y: (sign * (other.y - origin.y)) / length,
+    };
+  }
+
+  /**
+   * Cut the exit tail or lead-in of a stroke at a vertical line
+   * Used where a cursive connector takes over from a tail that overlaps it.
+   * @param {Array} points - Stroke points
+   * @param {number} limitX - Cut where the stroke crosses this x
+   * @param {boolean} atEnd - Trim the exit tail right of limitX (true) or the
+   *   lead-in left of limitX (false)
+   * @param {number} maxLength - Longest piece that may be cut off
+   * @returns {Array} Trimmed points, or the original points when the tail does
+   *   not cross limitX within maxLength
+   */
+  static trimTail(points, limitX, atEnd, maxLength) {
+    const pts = atEnd ? points.slice().reverse() : points;
+    const outside = (p) => (atEnd ? p.x > limitX : p.x < limitX);
+    if (pts.length < 2 || !outside(pts[0])) return points;
+
+    let length = 0;
+    for (let i = 1; i < pts.length; i++) {
+      const a = pts[i - 1];
+      const b = pts[i];
+      const segment = Math.hypot(b.x - a.x, b.y - a.y);
+      if (!outside(b)) {
+        const t = (limitX - a.x) / (b.x - a.x);
+        if (length + segment * t > maxLength) return points;
+
+        const kept = pts.slice(i);
+        if (t < 1) {
+          kept.unshift({
+            ...a,
+            x: limitX,
+            y: a.y + (b.y - a.y) * t,
+            pressure:
+              (a.pressure ?? 0.5) +
+              ((b.pressure ?? 0.5) - (a.pressure ?? 0.5)) * t,
+            timestamp:
+              (a.timestamp || 0) +
+              ((b.timestamp || 0) - (a.timestamp || 0)) * t,
+          });
+        }
+        if (kept.length < 2) return points;
+        return atEnd ? kept.reverse() : kept;
+      }
+      length += segment;
+    }
+    return points;
+  }
+
+  /**
+   * Cubic curve from one stroke end to the next that follows both tangents
+   * A direction pointing away from the other end would make the curve loop,
+   * so the straight direction between the ends is used instead.
+   * @param {Object} start - Start point {x, y}
+   * @param {Object|null} startDirection - Unit direction leaving start
+   * @param {Object} end - End point {x, y}
+   * @param {Object|null} endDirection - Unit direction arriving at end
+   * @param {number} [reach=0.4] - Control point distance as a share of the gap
+   * @returns {Object} {x1, y1, cx1, cy1, cx2, cy2, x2, y2}
+   */
+  static connectorCurve(start, startDirection, end, endDirection, reach = 0.4) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const gap = Math.hypot(dx, dy);
+    const along = gap > 0 ? { x: dx / gap, y: dy / gap } : { x: 0, y: 0 };
+    const follows = (direction) =>
+      direction && direction.x * along.x + direction.y * along.y > 0
+        ? direction
+        : along;
+    const out = follows(startDirection);
+    const into = follows(endDirection);
+    const handle = gap * reach;
+
+    return {
+      x1: start.x,
+      y1: start.y,
+      cx1: start.x + out.x * handle,
+      cy1: start.y + out.y * handle,
+      cx2: end.x - into.x * handle,
+      cy2: end.y - into.y * handle,
+      x2: end.x,
+      y2: end.y,
+    };
+  }
+
+  /**
+   * Point on a cubic curve
+   * @param {Object} curve - {x1, y1, cx1, cy1, cx2, cy2, x2, y2}
+   * @param {number} t - Curve parameter (0-1)
+   * @returns {Object} {x, y}
+   */
+  static cubicPoint(curve, t) {
+    const mt = 1 - t;
+    const a = mt * mt * mt;
+    const b = 3 * mt * mt * t;
+    const c = 3 * mt * t * t;
+    const d = t * t * t;
+    return {
+      x: a * curve.x1 + b * curve.cx1 + c * curve.cx2 + d * curve.x2,
+      y: a * curve.y1 + b * curve.cy1 + c * curve.cy2 + d * curve.y2,
+    };
+  }
+
+  /**
+   * The part of a cubic curve between two parameters, as a cubic curve
+   * @param {Object} curve - {x1, y1, cx1, cy1, cx2, cy2, x2, y2}
+   * @param {number} t0 - Start parameter
+   * @param {number} t1 - End parameter
+   * @returns {Object} Sub-curve in the same form
+   */
+  static cubicSegment(curve, t0, t1) {
+    // Derivative of the curve at t, scaled to the segment length
+    const derivative = (t) => {
+      const mt = 1 - t;
+      const scale = (t1 - t0) / 3;
+      return {
+        x:
+          3 *
+          scale *
+          (mt * mt * (curve.cx1 - curve.x1) +
+            2 * mt * t * (curve.cx2 - curve.cx1) +
+            t * t * (curve.x2 - curve.cx2)),
+        y:
+          3 *
+          scale *
+          (mt * mt * (curve.cy1 - curve.y1) +
+            2 * mt * t * (curve.cy2 - curve.cy1) +
+            t * t * (curve.y2 - curve.cy2)),
+      };
+    };
+    const start = StrokeProcessor.cubicPoint(curve, t0);
+    const end = StrokeProcessor.cubicPoint(curve, t1);
+    const d0 = derivative(t0);
+    const d1 = derivative(t1);
+
+    return {
+      x1: start.x,
+      y1: start.y,
+      cx1: start.x + d0.x,
+      cy1: start.y + d0.y,
+      cx2: end.x - d1.x,
+      cy2: end.y - d1.y,
+      x2: end.x,
+      y2: end.y,
+    };
+  }
+
   /**
    * Calculate stroke metrics
    * @param {Object} stroke - Stroke object
@@ -293,6 +488,87 @@ class StrokeProcessor {
     return minWidth + (maxWidth - minWidth) * normalizedPressure;
   }
 
+  /**
+   * Calculate the outline of a variable-width stroke
+   * Width follows each point's pressure and narrows over taperLength at both ends.
+   * Points should already be in output units (e.g. px) so widths match.
+   * @param {Array} points - Array of points {x, y, pressure}
+   * @param {Object} options - {minWidth, maxWidth, taperLength}
+   * @returns {Object|null} {left, right, startRadius, endRadius} or null if the stroke has no length
+   */
+  static calculateOutline(points, options = {}) {
+    const { minWidth = 1, maxWidth = 3, taperLength = 0 } = options;
+
+    // Drop repeated points so every segment has a direction
+    const pts = points.filter(
+      (p, i) => i === 0 || p.x !== points[i - 1].x || p.y !== points[i - 1].y,
+    );
+    if (pts.length < 2) return null;
+
+    // Cumulative arc length for tapering
+    const distances = [0];
+    for (let i = 1; i < pts.length; i++) {
+      distances.push(
+        distances[i - 1] +
+          Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y),
+      );
+    }
+    const totalLength = distances[distances.length - 1];
+    const taper = Math.min(taperLength, totalLength / 3);
+
+    const left = [];
+    const right = [];
+    const radii = [];
+
+    pts.forEach((point, i) => {
+      // Tangent from neighbouring points, normal rotated 90°
+      const prev = pts[Math.max(0, i - 1)];
+      const next = pts[Math.min(pts.length - 1, i + 1)];
+      const tx = next.x - prev.x;
+      const ty = next.y - prev.y;
+      const length = Math.hypot(tx, ty) || 1;
+      const nx = -ty / length;
+      const ny = tx / length;
+
+      let width = StrokeProcessor.mapPressureToWidth(
+        point.pressure ?? 0.5,
+        minWidth,
+        maxWidth,
+      );
+      if (taper > 0) {
+        const fromEnd = Math.min(distances[i], totalLength - distances[i]);
+        // Ease out so the stroke swells quickly after a thin tip
+        width *= Math.sqrt(Math.min(1, 0.05 + fromEnd / taper));
+      }
+
+      const radius = width / 2;
+      radii.push(radius);
+      left.push({ x: point.x + nx * radius, y: point.y + ny * radius });
+      right.push({ x: point.x - nx * radius, y: point.y - ny * radius });
+    });
+
+    return {
+      left,
+      right,
+      startRadius: radii[0],
+      endRadius: radii[radii.length - 1],
+    };
+  }
+
+  /**
+   * Baseline position of a glyph in normalized units (distance below the ascender line)
+   * @param {Object} charData - Glyph record with optional capture metrics
+   * @returns {number} Baseline in em units
+   */
+  static getBaselineNorm(charData) {
+    if (charData?.metrics?.emHeight) {
+      const { ascender, baseline, emHeight } = charData.metrics;
+      return (baseline - ascender) / emHeight;
+    }
+    // Fallback matches capture guideline default
+    return 0.7;
+  }
+
   /**
    * Detect baseline from strokes (useful for text alignment)
    * @param {Array} strokes - Array of stroke objects
@@ -310,9 +586,85 @@ class StrokeProcessor {
 
     return sumY / strokes.length;
   }
+
+  /**
+   * Horizontal ink extent of normalized strokes in horizontal bands
+   * Bands are measured from the baseline so profiles of different glyphs line up.
+   * @param {Array} strokes - Normalized strokes (em units)
+   * @param {number} baseline - Baseline in the same units (see getBaselineNorm)
+   * @param {Object} [options] - {top, bottom, bands}: band range relative to the baseline
+   * @returns {Object} {left, right} arrays of min/max x per band (±Infinity where empty)
+   */
+  static horizontalProfile(strokes, baseline, options = {}) {
+    const { top = -1, bottom = 0.5, bands = 30 } = options;
+    const bandHeight = (bottom - top) / bands;
+    const left = new Array(bands).fill(Infinity);
+    const right = new Array(bands).fill(-Infinity);
+
+    const mark = (x, y) => {
+      const band = Math.floor((y - baseline - top) / bandHeight);
+      const index = Math.max(0, Math.min(bands - 1, band));
+      left[index] = Math.min(left[index], x);
+      right[index] = Math.max(right[index], x);
+    };
+
+    strokes.forEach((stroke) => {
+      const points = stroke.points || [];
+      if (points.length === 1) mark(points[0].x, points[0].y);
+      // Sample each segment finely enough to touch every band it crosses
+      for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const steps = Math.ceil(Math.abs(b.y - a.y) / bandHeight) + 1;
+        for (let step = 0; step <= steps; step++) {
+          const t = step / steps;
+          mark(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t);
+        }
+      }
+    });
+
+    return { left, right };
+  }
+
+  /**
+   * Optical kerning between two glyphs placed box to box
+   * Compares the right profile of the first glyph with the left profile of
+   * the second and pulls them together by their typical white space, but
+   * never closer than the clearance in any band (neighbouring bands included).
+   * @param {Object} first - {profile, width} of the left glyph
+   * @param {Object} second - {profile, width} of the right glyph
+   * @param {number} [clearance=0.04] - Minimum gap between the glyphs in em
+   * @returns {number} Kerning in em (negative moves the second glyph left)
+   */
+  static opticalKerning(first, second, clearance = 0.04) {
+    const bands = first.profile.right.length;
+    const gaps = [];
+
+    for (let i = 0; i < bands; i++) {
+      let rightEdge = -Infinity;
+      let leftEdge = Infinity;
+      for (let j = Math.max(0, i - 1); j <= Math.min(bands - 1, i + 1); j++) {
+        rightEdge = Math.max(rightEdge, first.profile.right[j]);
+        leftEdge = Math.min(leftEdge, second.profile.left[j]);
+      }
+      if (rightEdge === -Infinity || leftEdge === Infinity) continue;
+      gaps.push(first.width - rightEdge + leftEdge);
+    }
+
+    if (gaps.length === 0) return 0;
+    const minGap = Math.min(...gaps);
+    const meanGap = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+    const kern = -(minGap + meanGap) / 2;
+    return Math.min(0, Math.max(kern, clearance - minGap));
+  }
 }
 
 // Export for browser environment
 if (typeof window !== "undefined") {
   window.StrokeProcessor = StrokeProcessor;
 }
+
+// Export for Node.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = StrokeProcessor;
+}
@@ -0,0 +1,233 @@
+/**
+ * SVG Animator
+ * Builds self-contained "being written" SVG animations from laid-out glyphs
+ */
+
+class SVGAnimator {
+  /**
+   * @param {SVGGenerator} svgGenerator - Generator providing path data and stroke style
+   * @param {Object} options - Timing options
+   * @param {number} [options.speed=1] - Multiplier applied to all timing (2 = twice as fast)
+   * @param {number} [options.letterPause=120] - Pause between letters in ms
+   * @param {number} [options.wordPause=300] - Pause between words in ms
+   * @param {number} [options.strokePause=150] - Pause between strokes when capture timing is unknown
+   */
+  constructor(svgGenerator, options = {}) {
+    this.svgGenerator = svgGenerator;
+    this.options = {
+      speed: options.speed || 1,
+      letterPause: options.letterPause ?? 120,
+      wordPause: options.wordPause ?? 300,
+      strokePause: options.strokePause ?? 150,
+      connectorDuration: options.connectorDuration ?? 80,
+      fallbackSpeed: options.fallbackSpeed ?? 1.5, // em per second for strokes without timestamps
+      prefix: options.prefix || "hw",
+    };
+  }
+
+  /**
+   * Render glyphs as animated markup: a <style> block plus one group per glyph
+   * Every stroke draws in captured order, using its own keyframes so speed
+   * changes within the stroke are preserved.
+   * @param {Array} glyphs - Placed glyphs {x, y, size, strokes, connector, wordStart}
+   * @returns {string} SVG body markup
+   */
+  render(glyphs) {
+    const { prefix, letterPause, wordPause, connectorDuration } = this.options;
+    const generator = this.svgGenerator.config;
+    const keyframes = [];
+    let body = "";
+    let time = 0;
+    let index = 0;
+
+    glyphs.forEach((glyph, glyphIndex) => {
+      if (glyphIndex > 0) {
+        time += glyph.wordStart ? wordPause : letterPause;
+      }
+
+      // Cursive connector draws just before the glyph it leads into
+      if (glyph.connector) {
+        const c = glyph.connector;
+        const name = `${prefix}-${index++}`;
+        const width = (c.width + c.endWidth) / 2;
+        const pathData = `M ${c.x1.toFixed(2)} ${c.y1.toFixed(2)} C ${c.cx1.toFixed(2)} ${c.cy1.toFixed(2)}, ${c.cx2.toFixed(2)} ${c.cy2.toFixed(2)}, ${c.x2.toFixed(2)} ${c.y2.toFixed(2)}`;
+        keyframes.push(this.buildKeyframes(name, []));
+        body += `  <path d="${pathData}" pathLength="1" class="${prefix}-draw" fill="none" stroke="${generator.strokeColor}" stroke-width="${width.toFixed(2)}" stroke-linecap="round" style="${this.animationStyle(name, connectorDuration, time)}"/>\n`;
+        time += connectorDuration;
+      }
+
+      body += `  <g transform="translate(${glyph.x.toFixed(2)}, ${glyph.y.toFixed(2)})">\n`;
+
+      let prevTiming = null;
+      glyph.strokes.forEach((stroke) => {
+        if (!stroke.points || stroke.points.length < 2) return;
+
+        const timing = this.getStrokeTiming(stroke);
+        if (prevTiming) {
+          time += this.getStrokeGap(prevTiming, timing);
+        }
+
+        const name = `${prefix}-${index}`;
+        keyframes.push(this.buildKeyframes(name, timing.stops));
+        body += this.renderStroke(
+          stroke,
+          glyph.size,
+          index,
+          this.animationStyle(name, timing.duration, time),
+        );
+
+        time += timing.duration;
+        prevTiming = timing;
+        index++;
+      });
+
+      body += `  </g>\n`;
+    });
+
+    let style = `  <style>\n`;
+    style += `    .${prefix}-draw { stroke-dasharray: 1 1; }\n`;
+    style += keyframes.join("");
+    style += `  </style>\n`;
+
+    return style + body;
+  }
+
+  /**
+   * Render one stroke as an animated element
+   * Centerlines animate their dash offset; filled outlines are revealed through
+   * a mask whose wide centerline animates the same way.
+   * @param {Object} stroke - Normalized stroke
+   * @param {number} size - Font size in px
+   * @param {number} index - Unique stroke index
+   * @param {string} style - Inline animation style
+   * @returns {string} Markup
+   */
+  renderStroke(stroke, size, index, style) {
+    const config = this.svgGenerator.config;
+    const { prefix } = this.options;
+    const centerline = this.svgGenerator.strokeToPathData(stroke.points, size);
+
+    if (config.strokeMode === "outline") {
+      const outline = this.svgGenerator.strokeToOutlinePathData(
+        stroke.points,
+        size,
+      );
+      const maskId = `${prefix}-mask-${index}`;
+      const revealWidth = config.maxStrokeWidth * 2 + 2;
+
+      let markup = `    <mask id="${maskId}">\n`;
+      markup += `      <path d="${centerline}" pathLength="1" class="${prefix}-draw" fill="none" stroke="#ffffff" stroke-width="${revealWidth}" stroke-linecap="round" stroke-linejoin="round" style="${style}"/>\n`;
+      markup += `    </mask>\n`;
+      markup += `    <path d="${outline}" fill="${config.strokeColor}" stroke="none" mask="url(#${maskId})"/>\n`;
+      return markup;
+    }
+
+    const avgPressure =
+      stroke.points.reduce((sum, p) => sum + (p.pressure || 0.5), 0) /
+      stroke.points.length;
+    const strokeWidth = StrokeProcessor.mapPressureToWidth(
+      avgPressure,
+      config.minStrokeWidth,
+      config.maxStrokeWidth,
+    );
+
+    return `    <path d="${centerline}" pathLength="1" class="${prefix}-draw" fill="none" stroke="${config.strokeColor}" stroke-width="${strokeWidth.toFixed(2)}" stroke-linecap="round" stroke-linejoin="round" style="${style}"/>\n`;
+  }
+
+  /**
+   * Measure how long a stroke took and how far the pen had travelled over time
+   * @param {Object} stroke - Normalized stroke with point timestamps
+   * @returns {Object} {duration, stops: [{time, progress}], startOffset}
+   */
+  getStrokeTiming(stroke) {
+    const points = stroke.points;
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+      distances.push(
+        distances[i - 1] +
+          Math.hypot(
+            points[i].x - points[i - 1].x,
+            points[i].y - points[i - 1].y,
+          ),
+      );
+    }
+    const totalLength = distances[distances.length - 1] || 1;
+
+    const start = points[0].timestamp || 0;
+    const recorded = (points[points.length - 1].timestamp || 0) - start;
+
+    // Old data without timestamps: draw at an even pace
+    if (!(recorded > 0)) {
+      return {
+        duration: (totalLength / this.options.fallbackSpeed) * 1000,
+        stops: [],
+        startOffset: stroke.startOffset,
+      };
+    }
+
+    const stops = points.map((point, i) => ({
+      time: ((point.timestamp || 0) - start) / recorded,
+      progress: distances[i] / totalLength,
+    }));
+
+    return { duration: recorded, stops, startOffset: stroke.startOffset };
+  }
+
+  /**
+   * Pen-up time between two strokes of the same glyph
+   * @param {Object} prev - Timing of the previous stroke
+   * @param {Object} next - Timing of the next stroke
+   * @returns {number} Pause in ms
+   */
+  getStrokeGap(prev, next) {
+    if (
+      typeof prev.startOffset === "number" &&
+      typeof next.startOffset === "number"
+    ) {
+      const gap = next.startOffset - (prev.startOffset + prev.duration);
+      if (gap >= 0) return gap;
+    }
+    return this.options.strokePause;
+  }
+
+  /**
+   * Build @keyframes that move the dash offset along recorded progress
+   * @param {string} name - Animation name
+   * @param {Array} stops - [{time, progress}] in 0-1, empty for linear
+   * @returns {string} CSS
+   */
+  buildKeyframes(name, stops) {
+    const frames = new Map([[0, 1]]);
+    stops.forEach(({ time, progress }) => {
+      frames.set(Math.round(time * 10000) / 100, 1 - progress);
+    });
+    frames.set(100, 0);
+
+    const body = [...frames]
+      .sort((a, b) => a[0] - b[0])
+      .map(
+        ([percent, offset]) =>
+          `${percent}% { stroke-dashoffset: ${offset.toFixed(4)}; }`,
+      )
+      .join(" ");
+    return `    @keyframes ${name} { ${body} }\n`;
+  }
+
+  /**
+   * Inline animation declaration with the speed multiplier applied
+   * @param {string} name - Keyframes name
+   * @param {number} duration - Duration in ms at captured speed
+   * @param {number} delay - Start time in ms at captured speed
+   * @returns {string} CSS declarations
+   */
+  animationStyle(name, duration, delay) {
+    const speed = this.options.speed;
+    const ms = (value) => `${Math.max(0, Math.round(value / speed))}ms`;
+    return `animation: ${name} ${ms(duration)} linear ${ms(delay)} both`;
+  }
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.SVGAnimator = SVGAnimator;
+}
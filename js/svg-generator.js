@@ -13,6 +13,8 @@ class SVGGenerator {
             minStrokeWidth: config.minStrokeWidth || 1.5,
             maxStrokeWidth: config.maxStrokeWidth || 3,
             smoothing: config.smoothing !== false,
+            strokeMode: config.strokeMode || 'centerline', // 'centerline' (plotters) or 'outline' (filled, variable width)
+            taperLength: config.taperLength ?? 12, // px over which outline strokes narrow at each end
             ...config
         };
     }
@@ -126,6 +128,89 @@ class SVGGenerator {
         return pathData.trim();
     }
 
+    /**
+     * Convert a single stroke to a filled outline whose width follows pressure
+     * @param {Array} points - Array of points with pressure
+     * @param {number} scale - Scale factor (widths are not scaled)
+     * @returns {string} Closed path data string
+     */
+    strokeToOutlinePathData(points, scale = 1) {
+        if (!points || points.length === 0) return '';
+
+        const scaled = points.map(p => ({ x: p.x * scale, y: p.y * scale, pressure: p.pressure }));
+        const outline = StrokeProcessor.calculateOutline(scaled, {
+            minWidth: this.config.minStrokeWidth,
+            maxWidth: this.config.maxStrokeWidth,
+            taperLength: this.config.taperLength
+        });
+
+        // A dot: draw a filled circle
+        if (!outline) {
+            const p = scaled[0];
+            const r = StrokeProcessor.mapPressureToWidth(p.pressure ?? 0.5, this.config.minStrokeWidth, this.config.maxStrokeWidth) / 2;
+            return `M ${(p.x - r).toFixed(2)} ${p.y.toFixed(2)} a ${r.toFixed(2)} ${r.toFixed(2)} 0 1 0 ${(r * 2).toFixed(2)} 0 a ${r.toFixed(2)} ${r.toFixed(2)} 0 1 0 ${(-r * 2).toFixed(2)} 0 Z`;
+        }
+
+        const { left, right, startRadius, endRadius } = outline;
+        const reversedRight = right.slice().reverse();
+        const endRight = right[right.length - 1];
+
+        // Left side forward, round cap, right side back, round cap
+        let pathData = this.sideToPathData(left);
+        pathData += ` A ${endRadius.toFixed(2)} ${endRadius.toFixed(2)} 0 0 0 ${endRight.x.toFixed(2)} ${endRight.y.toFixed(2)}`;
+        pathData += this.sideToPathData(reversedRight).replace(/^M [^ ]+ [^ ]+/, '');
+        pathData += ` A ${startRadius.toFixed(2)} ${startRadius.toFixed(2)} 0 0 0 ${left[0].x.toFixed(2)} ${left[0].y.toFixed(2)} Z`;
+
+        return pathData;
+    }
+
+    /**
+     * Smooth one side of an outline with the same midpoint curves as centerlines
+     * @param {Array} points - Outline side points (already scaled)
+     * @returns {string} Path data starting with a move-to
+     */
+    sideToPathData(points) {
+        let pathData = `M ${points[0].x.toFixed(2)} ${points[0].y.toFixed(2)}`;
+
+        if (this.config.smoothing && points.length > 2) {
+            for (let i = 1; i < points.length - 1; i++) {
+                const curr = points[i];
+                const next = points[i + 1];
+                const endX = (curr.x + next.x) / 2;
+                const endY = (curr.y + next.y) / 2;
+                pathData += ` Q ${curr.x.toFixed(2)} ${curr.y.toFixed(2)}, ${endX.toFixed(2)} ${endY.toFixed(2)}`;
+            }
+            const last = points[points.length - 1];
+            pathData += ` L ${last.x.toFixed(2)} ${last.y.toFixed(2)}`;
+        } else {
+            for (let i = 1; i < points.length; i++) {
+                pathData += ` L ${points[i].x.toFixed(2)} ${points[i].y.toFixed(2)}`;
+            }
+        }
+
+        return pathData;
+    }
+
+    /**
+     * Render strokes as path elements in the configured stroke mode
+     * @param {Array} strokes - Array of stroke objects
+     * @param {number} scale - Scale factor
+     * @param {string} indent - Prefix for each element line
+     * @returns {string} Path elements
+     */
+    strokesToElements(strokes, scale = 1, indent = '') {
+        if (this.config.strokeMode === 'outline') {
+            return (strokes || [])
+                .filter(stroke => stroke.points && stroke.points.length > 0)
+                .map(stroke => `${indent}<path d="${this.strokeToOutlinePathData(stroke.points, scale)}" fill="${this.config.strokeColor}" stroke="none"/>\n`)
+                .join('');
+        }
+
+        return this.strokesToPathsWithPressure(strokes, scale)
+            .map(path => `${indent}<path d="${path.d}" fill="none" stroke="${this.config.strokeColor}" stroke-width="${path.width}" stroke-linecap="${this.config.strokeLinecap}" stroke-linejoin="${this.config.strokeLinejoin}"/>\n`)
+            .join('');
+    }
+
     /**
      * Create complete SVG document from character strokes
      * @param {Array} strokes - Array of stroke objects
@@ -140,7 +225,6 @@ class SVGGenerator {
         } = options;
 
         const vb = viewBox || `0 0 ${width} ${height}`;
-        const paths = this.strokesToPathsWithPressure(strokes, 1);
 
         let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${vb}">\n`;
         
@@ -156,10 +240,8 @@ class SVGGenerator {
         }
 
         // Add paths
-        svg += `  <g fill="none" stroke="${this.config.strokeColor}" stroke-linecap="${this.config.strokeLinecap}" stroke-linejoin="${this.config.strokeLinejoin}">\n`;
-        paths.forEach(path => {
-            svg += `    <path d="${path.d}" stroke-width="${path.width}"/>\n`;
-        });
+        svg += `  <g>\n`;
+        svg += this.strokesToElements(strokes, 1, '    ');
         svg += `  </g>\n`;
         
         svg += `</svg>`;
@@ -176,14 +258,8 @@ class SVGGenerator {
      * @returns {string} SVG group markup
      */
     createCharacterGroup(strokes, x, y, size) {
-        const paths = this.strokesToPathsWithPressure(strokes, size);
-        
-        let group = `<g transform="translate(${x}, ${y})" fill="none" stroke="${this.config.strokeColor}" stroke-linecap="${this.config.strokeLinecap}" stroke-linejoin="${this.config.strokeLinejoin}">\n`;
-        
-        paths.forEach(path => {
-            group += `  <path d="${path.d}" stroke-width="${path.width}"/>\n`;
-        });
-        
+        let group = `<g transform="translate(${x}, ${y})">\n`;
+        group += this.strokesToElements(strokes, size, '  ');
         group += `</g>\n`;
         
         return group;
@@ -216,3 +292,8 @@ class SVGGenerator {
 if (typeof window !== 'undefined') {
     window.SVGGenerator = SVGGenerator;
 }
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SVGGenerator;
+}
@@ -5,43 +5,59 @@
 
 // Global state
 let fontData = null;
-let svgGenerator = null;
+let fontLibrary = null;
+let renderer = null;
 let renderedSVG = "";
+let renderedLayout = null;
 
-// Configuration
-const MIN_STROKE_WIDTH = 1.5;
-const MAX_STROKE_WIDTH = 3;
+// Configuration (layout options are documented in handwriting-renderer.js)
 let config = {
-  fontSize: 60,
-  letterSpacing: 5,
-  lineHeight: 1.5,
-  variation: 2,
-  connectCursive: true,
-  strokeColor: "#000000",
+  ...DEFAULT_RENDER_OPTIONS,
+  seed: "", // empty = new random seed on every render
+  animationSpeed: 1, // multiplier applied to captured timing
+  letterPause: 120, // ms between letters in animated export
+  wordPause: 300, // ms between words in animated export
+  plotter: {
+    // G-code export, lengths in mm
+    pageWidth: 210,
+    pageHeight: 297,
+    offsetX: 10,
+    offsetY: 10,
+    origin: "bottomLeft", // bottomLeft | topLeft
+    penMode: "z", // z | servo
+    zUp: 5,
+    zDown: 0,
+    penUpCommand: "M5",
+    penDownCommand: "M3 S90",
+    drawFeed: 1500, // mm/min
+    tolerance: 0.1,
+  },
 };
 
 // Initialize on page load
 document.addEventListener("DOMContentLoaded", () => {
-  initializeRenderer();
+  initializeRenderer().catch(ProfilePicker.showLoadError);
 });
 
-function initializeRenderer() {
-  fontData = new FontData();
-  svgGenerator = new SVGGenerator({
-    strokeColor: config.strokeColor,
-    minStrokeWidth: 1.5,
-    maxStrokeWidth: 3,
-  });
-
-  // Try to load from localStorage
-  if (fontData.loadFromLocalStorage()) {
-    updateDataStatus(true);
-  }
+async function initializeRenderer() {
+  fontLibrary = new FontLibrary();
+  fontLibrary.onBlocked = (error) =>
+    ProfilePicker.showWarning(error ? error.message : "");
+  await fontLibrary.load();
+  fontData = await fontLibrary.loadFont();
+  updateDataStatus(fontData.getStatistics().capturedCount > 0);
 
   setupUI();
 }
 
 function setupUI() {
+  // Handwriting profiles
+  new ProfilePicker(fontLibrary, async () => {
+    fontData = await fontLibrary.loadFont();
+    updateDataStatus(fontData.getStatistics().capturedCount > 0);
+    renderFallbackProfiles();
+  }).setup();
+
   // Load data button
   document.getElementById("loadData").addEventListener("click", () => {
     document.getElementById("dataFileInput").click();
@@ -72,6 +88,18 @@ function setupUI() {
       config.letterSpacing;
   });
 
+  // Optical kerning toggle and strength (percent of the computed kerning)
+  document.getElementById("kerning").addEventListener("change", (e) => {
+    config.kerning = e.target.checked;
+    document.getElementById("kerningStrength").disabled = !config.kerning;
+  });
+
+  document.getElementById("kerningStrength").addEventListener("input", (e) => {
+    config.kerningStrength = parseInt(e.target.value) / 100;
+    document.getElementById("kerningStrengthValue").textContent =
+      `${e.target.value}%`;
+  });
+
   // Line height slider
   const lineHeightSlider = document.getElementById("lineHeight");
   lineHeightSlider.addEventListener("input", (e) => {
@@ -91,11 +119,111 @@ function setupUI() {
     config.connectCursive = e.target.checked;
   });
 
+  // Seed for reproducible renders
+  document.getElementById("seed").addEventListener("input", (e) => {
+    config.seed = e.target.value.trim();
+  });
+
+  document.getElementById("randomSeed").addEventListener("click", () => {
+    config.seed = String(SeededRandom.generateSeed());
+    document.getElementById("seed").value = config.seed;
+  });
+
+  // Wrapping and alignment
+  document.getElementById("maxWidth").addEventListener("input", (e) => {
+    config.maxWidth = Math.max(0, parseFloat(e.target.value) || 0);
+  });
+
+  document.getElementById("widthUnit").addEventListener("change", (e) => {
+    config.widthUnit = e.target.value;
+  });
+
+  document.getElementById("align").addEventListener("change", (e) => {
+    config.align = e.target.value;
+  });
+
+  document.getElementById("hyphenate").addEventListener("change", (e) => {
+    config.hyphenate = e.target.checked;
+  });
+
+  // Canvas size
+  document.getElementById("margin").addEventListener("input", (e) => {
+    config.margin = Math.max(0, parseFloat(e.target.value) || 0);
+  });
+
+  document.getElementById("fitToBox").addEventListener("change", (e) => {
+    config.fitToBox = e.target.checked;
+  });
+
+  document.getElementById("fitWidth").addEventListener("input", (e) => {
+    config.fitWidth = Math.max(1, parseFloat(e.target.value) || 1);
+  });
+
+  document.getElementById("fitHeight").addEventListener("input", (e) => {
+    config.fitHeight = Math.max(1, parseFloat(e.target.value) || 1);
+  });
+
+  // Stroke style
+  document.getElementById("strokeMode").addEventListener("change", (e) => {
+    config.strokeMode = e.target.value;
+  });
+
+  // Variant selection mode
+  document.getElementById("variantMode").addEventListener("change", (e) => {
+    config.variantMode = e.target.value;
+  });
+
+  // Fallbacks for missing glyphs, tried in page order
+  document.querySelectorAll("[data-fallback]").forEach((input) => {
+    input.addEventListener("change", () => {
+      config.fallbacks = [...document.querySelectorAll("[data-fallback]")]
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) => checkbox.dataset.fallback);
+    });
+  });
+
+  document.getElementById("fallbackProfile").addEventListener("change", (e) => {
+    config.fallbackProfile = e.target.value;
+  });
+  renderFallbackProfiles();
+
+  // Animation timing
+  document.getElementById("animationSpeed").addEventListener("input", (e) => {
+    config.animationSpeed = Math.max(0.1, parseFloat(e.target.value) || 1);
+  });
+
+  document.getElementById("letterPause").addEventListener("input", (e) => {
+    config.letterPause = Math.max(0, parseFloat(e.target.value) || 0);
+  });
+
+  document.getElementById("wordPause").addEventListener("input", (e) => {
+    config.wordPause = Math.max(0, parseFloat(e.target.value) || 0);
+  });
+
+  // Plotter (G-code) settings
+  document.querySelectorAll("[data-plotter]").forEach((input) => {
+    input.addEventListener("change", (e) => {
+      const key = e.target.dataset.plotter;
+      config.plotter[key] =
+        e.target.type === "number"
+          ? parseFloat(e.target.value) || 0
+          : e.target.value;
+      if (key === "penMode") updatePenModeFields();
+    });
+  });
+  updatePenModeFields();
+
   // Render button
   document.getElementById("renderBtn").addEventListener("click", renderText);
 
   // Export buttons
   document.getElementById("exportSVG").addEventListener("click", downloadSVG);
+  document
+    .getElementById("exportAnimated")
+    .addEventListener("click", downloadAnimatedSVG);
+  document
+    .getElementById("exportGCode")
+    .addEventListener("click", downloadGCode);
   document
     .getElementById("copySVG")
     .addEventListener("click", copySVGToClipboard);
@@ -107,14 +235,12 @@ function handleDataLoad(event) {
 
   const reader = new FileReader();
   reader.onload = (e) => {
-    const success = fontData.importJSON(e.target.result);
-    if (success) {
-      fontData.saveToLocalStorage();
+    MergeDialog.show(fontData, e.target.result, async (message) => {
+      await fontLibrary.snapshotStored("Before import");
+      await fontLibrary.saveFont(fontData);
       updateDataStatus(true);
-      alert("Handwriting data loaded successfully!");
-    } else {
-      alert("Error loading data. Please check the file format.");
-    }
+      alert(message);
+    });
   };
   reader.readAsText(file);
 
@@ -125,7 +251,7 @@ function updateDataStatus(loaded) {
   const statusEl = document.getElementById("dataStatus");
   if (loaded) {
     const stats = fontData.getStatistics();
-    statusEl.textContent = `${stats.capturedCount} characters loaded`;
+    statusEl.textContent = `${stats.capturedCount} characters loaded (${stats.variantCount} variants)`;
     statusEl.classList.add("loaded");
   } else {
     statusEl.textContent = "No data loaded";
@@ -133,7 +259,7 @@ function updateDataStatus(loaded) {
   }
 }
 
-function renderText() {
+async function renderText() {
   const text = document.getElementById("textInput").value;
 
   if (!text) {
@@ -147,235 +273,75 @@ function renderText() {
   }
 
   try {
-    renderedSVG = generateTextSVG(text);
+    const seed = config.seed || String(SeededRandom.generateSeed());
+    // Every profile is available to {{Profile name}} paragraph markers
+    const fonts = {
+      ...(await fontLibrary.loadAllFonts()),
+      [fontLibrary.getActiveProfile().name]: fontData,
+    };
+    renderer = new HandwritingRenderer(fontData, config, fonts);
+    renderedLayout = renderer.layoutText(text, seed);
+    renderedSVG = renderer.buildTextSVG(renderedLayout);
     displaySVG(renderedSVG);
+    renderMissingReport(renderedLayout.missing);
+    renderUnknownProfiles(renderedLayout.unknownProfiles);
+    document.getElementById("seedUsed").textContent = `Seed used: ${seed}`;
   } catch (error) {
     console.error("Error rendering text:", error);
     alert("Error rendering text: " + error.message);
   }
 }
 
-function generateTextSVG(text) {
-  const lines = text.split("\n");
-  let svgContent = "";
-
-  // Calculate dimensions
-  const lineHeightPx = config.fontSize * config.lineHeight;
-  const totalHeight = lines.length * lineHeightPx + 100; // Extra padding
-
-  // Estimate width (rough calculation)
-  const maxLineLength = Math.max(...lines.map((line) => line.length));
-  const totalWidth =
-    maxLineLength * (config.fontSize * 0.6 + config.letterSpacing) + 100;
-
-  // Start SVG with proper viewBox
-  let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="${totalHeight}" viewBox="0 0 ${totalWidth} ${totalHeight}">\n`;
-
-  // Add metadata
-  svg += `  <metadata>\n`;
-  svg += `    <generator>Handwriting SVG Generator</generator>\n`;
-  svg += `    <created>${new Date().toISOString()}</created>\n`;
-  svg += `  </metadata>\n`;
-
-  // Render each line
-  let yPosition = lineHeightPx;
-
-  lines.forEach((line, lineIndex) => {
-    const lineResult = renderLine(line, 50, yPosition);
-    svgContent += lineResult.svg;
-    yPosition += lineHeightPx;
+// Profiles offered as the fallback hand, keeping the current choice when it still exists
+function renderFallbackProfiles() {
+  const select = document.getElementById("fallbackProfile");
+  const names = fontLibrary.getProfiles().map((profile) => profile.name);
+  select.innerHTML = "";
+  ["", ...names].forEach((name) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = name || "None";
+    select.appendChild(option);
   });
-
-  svg += svgContent;
-  svg += `</svg>`;
-
-  return svg;
-}
-
-function renderLine(text, startX, startY) {
-  let xPosition = startX;
-  let svgContent = "";
-  const missingChars = [];
-  let prevConnector = null;
-
-  for (let i = 0; i < text.length; ) {
-    const pairKey = text.slice(i, i + 2);
-    const singleKey = text[i];
-    const usePair = i + 1 < text.length && fontData.hasCharacter(pairKey);
-    const glyphKey = usePair ? pairKey : singleKey;
-    const step = usePair ? 2 : 1;
-
-    // Handle space
-    if (glyphKey === " ") {
-      xPosition += config.fontSize * 0.3;
-      prevConnector = null; // break connections across word boundaries
-      i += step;
-      continue;
-    }
-
-    // Get character data
-    const charData = fontData.getCharacter(glyphKey);
-
-    if (!charData) {
-      // Character not captured - skip or use placeholder
-      missingChars.push(glyphKey);
-      xPosition += config.fontSize * 0.5;
-      i += step;
-      continue;
-    }
-
-    const isCapital = /^[A-Z]$/.test(glyphKey);
-
-    // Normalize strokes to 0-1 range based on character bounds
-    const normalizedStrokes = StrokeProcessor.normalize(
-      JSON.parse(JSON.stringify(charData.strokes)),
-      charData.bounds,
-      charData.metrics,
-    );
-
-    // Apply variation to normalized strokes
-    const variationConfig = {
-      positionJitter: config.variation * 0.01,
-      rotationRange: config.variation * 1.5,
-      scaleRange: config.variation * 0.02,
-    };
-
-    const variedStrokes = StrokeProcessor.applyVariation(
-      normalizedStrokes,
-      variationConfig,
-    );
-
-    const baselineNorm = getBaselineNorm(charData);
-    const yOffset = startY - baselineNorm * config.fontSize;
-
-    // Extract connectors once per character
-    const connector = !isCapital
-      ? StrokeProcessor.extractConnectors(variedStrokes)
-      : null;
-
-    // If cursive is enabled and we have a previous connector, draw a joining line in absolute space
-    if (config.connectCursive && prevConnector && connector?.entry) {
-      const startAbsX = xPosition + connector.entry.x * config.fontSize;
-      const startAbsY = yOffset + connector.entry.y * config.fontSize;
-      svgContent += `  <path d="M ${prevConnector.exitAbsX.toFixed(2)} ${prevConnector.exitAbsY.toFixed(2)} L ${startAbsX.toFixed(2)} ${startAbsY.toFixed(2)}" fill="none" stroke="${config.strokeColor}" stroke-width="${prevConnector.strokeWidth.toFixed(2)}" stroke-linecap="round" stroke-linejoin="round"/>\n`;
-    }
-
-    // Render character
-    const charSVG = renderCharacter(
-      variedStrokes,
-      xPosition,
-      startY,
-      config.fontSize,
-      charData,
-      prevConnector,
-    );
-    svgContent += charSVG;
-
-    // Calculate character width for spacing using normalized bounds to preserve proportions
-    const normalizedBounds = StrokeProcessor.calculateBounds(variedStrokes);
-    const normalizedWidth = normalizedBounds.width || 0.6; // fallback
-    const charWidth = normalizedWidth * config.fontSize;
-    // Update connector info for next glyph (store absolute exit position)
-    if (connector) {
-      const exitAbsX = xPosition + connector.exit.x * config.fontSize;
-      const exitAbsY = yOffset + connector.exit.y * config.fontSize;
-      // Approximate stroke width from first stroke for consistency
-      const firstStroke = variedStrokes[0];
-      const pointCount = firstStroke?.points?.length || 1;
-      const avgPressure =
-        firstStroke.points.reduce((sum, p) => sum + (p.pressure || 0.5), 0) /
-        pointCount;
-      const strokeWidth = StrokeProcessor.mapPressureToWidth(
-        avgPressure,
-        MIN_STROKE_WIDTH,
-        MAX_STROKE_WIDTH,
-      );
-      prevConnector = { ...connector, exitAbsX, exitAbsY, strokeWidth };
-    } else {
-      prevConnector = null;
-    }
-    xPosition += charWidth + config.letterSpacing;
-    i += step;
-  }
-
-  if (missingChars.length > 0) {
-    console.warn("Missing characters:", [...new Set(missingChars)].join(", "));
+  if (!names.includes(config.fallbackProfile)) {
+    config.fallbackProfile = "";
   }
-
-  return {
-    svg: svgContent,
-    width: xPosition - startX,
-  };
+  select.value = config.fallbackProfile;
 }
 
-function renderCharacter(strokes, x, baselineY, size, charData) {
-  const baselineNorm = getBaselineNorm(charData);
-  const yOffset = baselineY - baselineNorm * size;
-
-  let svg = `  <g transform="translate(${x.toFixed(2)}, ${yOffset.toFixed(2)})">\n`;
-
-  // Generate paths with pressure-based width
-  // Strokes are already normalized to 0-1 range
-  strokes.forEach((stroke) => {
-    if (!stroke.points || stroke.points.length < 2) return;
-
-    // Calculate average pressure
-    const avgPressure =
-      stroke.points.reduce((sum, p) => sum + (p.pressure || 0.5), 0) /
-      stroke.points.length;
-    const strokeWidth = StrokeProcessor.mapPressureToWidth(
-      avgPressure,
-      MIN_STROKE_WIDTH,
-      MAX_STROKE_WIDTH,
-    );
-
-    // Generate path data (normalized coordinates scaled by size)
-    const pathData = generatePathData(stroke.points, size);
-
-    svg += `    <path d="${pathData}" fill="none" stroke="${config.strokeColor}" stroke-width="${strokeWidth.toFixed(2)}" stroke-linecap="round" stroke-linejoin="round"/>\n`;
-  });
-
-  svg += `  </g>\n`;
-
-  return svg;
-}
-
-function getBaselineNorm(charData) {
-  if (charData?.metrics?.emHeight) {
-    const { ascender, baseline, emHeight } = charData.metrics;
-    return (baseline - ascender) / emHeight;
-  }
-  // Fallback matches capture guideline default
-  return 0.7;
+/**
+ * List the {{Profile name}} markers of the last render that named no profile
+ * @param {Array} names - Names from layoutText
+ */
+function renderUnknownProfiles(names) {
+  const report = document.getElementById("unknownProfiles");
+  report.classList.toggle("hidden", names.length === 0);
+  report.textContent = `Unknown profile(s), rendered as text: ${names
+    .map((name) => `{{${name}}}`)
+    .join(", ")}`;
 }
 
-function generatePathData(points, scale) {
-  if (!points || points.length === 0) return "";
-
-  let pathData = `M ${(points[0].x * scale).toFixed(2)} ${(points[0].y * scale).toFixed(2)}`;
-
-  if (points.length > 2) {
-    // Use quadratic bezier curves for smoothing
-    for (let i = 1; i < points.length - 1; i++) {
-      const curr = points[i];
-      const next = points[i + 1];
-      const cpX = (curr.x * scale).toFixed(2);
-      const cpY = (curr.y * scale).toFixed(2);
-      const endX = (((curr.x + next.x) / 2) * scale).toFixed(2);
-      const endY = (((curr.y + next.y) / 2) * scale).toFixed(2);
-      pathData += ` Q ${cpX} ${cpY}, ${endX} ${endY}`;
-    }
-    // Line to last point
-    const last = points[points.length - 1];
-    pathData += ` L ${(last.x * scale).toFixed(2)} ${(last.y * scale).toFixed(2)}`;
-  } else {
-    // Simple line
-    for (let i = 1; i < points.length; i++) {
-      pathData += ` L ${(points[i].x * scale).toFixed(2)} ${(points[i].y * scale).toFixed(2)}`;
-    }
-  }
-
-  return pathData;
+/**
+ * List the characters the last render had no glyph for
+ * Each one links to the capture page with that character selected.
+ * @param {Array} missing - Glyph keys from layoutText
+ */
+function renderMissingReport(missing) {
+  const report = document.getElementById("missingReport");
+  const list = document.getElementById("missingList");
+  report.classList.toggle("hidden", missing.length === 0);
+  list.innerHTML = "";
+
+  missing.forEach((char) => {
+    const button = document.createElement("button");
+    button.className = "secondary";
+    button.textContent = FontData.isMark(char) ? `◌${char}` : char;
+    button.title = `Capture "${FontData.describeKey(char)}"`;
+    button.addEventListener("click", () => {
+      window.location.href = `capture.html?char=${encodeURIComponent(char)}`;
+    });
+    list.appendChild(button);
+  });
 }
 
 function displaySVG(svgString) {
@@ -408,6 +374,58 @@ function downloadSVG() {
   URL.revokeObjectURL(url);
 }
 
+function downloadAnimatedSVG() {
+  if (!renderedLayout) {
+    alert("Please render some text first.");
+    return;
+  }
+
+  const animator = new SVGAnimator(renderer.svgGenerator, {
+    speed: config.animationSpeed,
+    letterPause: config.letterPause,
+    wordPause: config.wordPause,
+  });
+  const animatedSVG = renderer.buildTextSVG(
+    renderedLayout,
+    animator.render(renderedLayout.glyphs),
+  );
+
+  const blob = new Blob([animatedSVG], { type: "image/svg+xml" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `handwriting-animated-${Date.now()}.svg`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function updatePenModeFields() {
+  const servo = config.plotter.penMode === "servo";
+  document.getElementById("zPenFields").hidden = servo;
+  document.getElementById("servoPenFields").hidden = !servo;
+}
+
+function downloadGCode() {
+  if (!renderedLayout) {
+    alert("Please render some text first.");
+    return;
+  }
+
+  const exporter = new GCodeExporter(config.plotter);
+  const { gcode, warnings } = exporter.generate(renderedLayout);
+  if (warnings.length > 0) {
+    alert(`G-code warning:\n${warnings.join("\n")}`);
+  }
+
+  const blob = new Blob([gcode], { type: "text/plain" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `handwriting-${Date.now()}.gcode`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 function copySVGToClipboard() {
   if (!renderedSVG) {
     alert("Please render some text first.");
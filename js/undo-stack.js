@@ -0,0 +1,97 @@
+/**
+ * Undo Stack
+ * Global undo/redo history of reversible actions
+ */
+
+const MAX_UNDO_ENTRIES = 50;
+
+class UndoStack {
+  constructor(limit = MAX_UNDO_ENTRIES) {
+    this.limit = limit;
+    this.undoEntries = [];
+    this.redoEntries = [];
+    // Called after every change so buttons can be refreshed
+    this.onChange = null;
+  }
+
+  /**
+   * Record an action that has just been performed
+   * Recording a new action drops everything that could be redone.
+   * @param {string} label - Short description, e.g. "Save a"
+   * @param {Function} undo - Reverts the action (may return a promise)
+   * @param {Function} redo - Applies the action again (may return a promise)
+   */
+  push(label, undo, redo) {
+    this.undoEntries.push({ label, undo, redo });
+    if (this.undoEntries.length > this.limit) {
+      this.undoEntries.shift();
+    }
+    this.redoEntries = [];
+    this.onChange?.();
+  }
+
+  /**
+   * Revert the most recent action
+   * An action whose undo fails stays on the stack so it can be tried again.
+   * @returns {Promise<string|null>} Label of the reverted action, or null when there is none
+   */
+  async undo() {
+    const entry = this.undoEntries.pop();
+    if (!entry) return null;
+
+    try {
+      await entry.undo();
+    } catch (error) {
+      this.undoEntries.push(entry);
+      throw error;
+    }
+    this.redoEntries.push(entry);
+    this.onChange?.();
+    return entry.label;
+  }
+
+  /**
+   * Apply the most recently undone action again
+   * An action whose redo fails stays on the stack so it can be tried again.
+   * @returns {Promise<string|null>} Label of the action, or null when there is none
+   */
+  async redo() {
+    const entry = this.redoEntries.pop();
+    if (!entry) return null;
+
+    try {
+      await entry.redo();
+    } catch (error) {
+      this.redoEntries.push(entry);
+      throw error;
+    }
+    this.undoEntries.push(entry);
+    this.onChange?.();
+    return entry.label;
+  }
+
+  /**
+   * @returns {string|null} Label of the action undo would revert
+   */
+  peekUndo() {
+    return this.undoEntries[this.undoEntries.length - 1]?.label || null;
+  }
+
+  /**
+   * @returns {string|null} Label of the action redo would apply
+   */
+  peekRedo() {
+    return this.redoEntries[this.redoEntries.length - 1]?.label || null;
+  }
+
+  clear() {
+    this.undoEntries = [];
+    this.redoEntries = [];
+    this.onChange?.();
+  }
+}
+
+// Export for browser environment
+if (typeof window !== "undefined") {
+  window.UndoStack = UndoStack;
+}